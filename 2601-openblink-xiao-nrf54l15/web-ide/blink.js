@@ -2,282 +2,764 @@
  * SPDX-License-Identifier: BSD-3-Clause
  * SPDX-FileCopyrightText: Copyright (c) 2025 ViXion Inc. All Rights Reserved.
  */
-let programCharacteristic;
-let negotiatedMtuCharacteristic;
-const MAX_CHUNK_SIZE = 20;
-const DATA_HEADER_SIZE = 6;
-const DATA_PAYLOAD_SIZE = MAX_CHUNK_SIZE - DATA_HEADER_SIZE;
-const PROGRAM_HEADER_SIZE = 8;
-const DEFAULT_MTU = 20;
-const REQUESTED_MTU = 512;
-let negotiatedMTU = DEFAULT_MTU;
+let transport = null;
+// Upload interrupted by a lost link, { transfer, transport }; resumed only
+// when that transport reconnects on its own, i.e. to the same device
+let pendingTransfer = null;
+// Last program status read from the device, null if it cannot report it
+let deviceStatus = null;
+// Device info of the connected device, null if it has none
+let deviceInfo = null;
+// "disconnected", "connecting", "connected" or "transferring"
+let connectionState = "disconnected";
 const OPENBLINK_WEBIDE_VERSION = "0.3.4";
+const deviceConsole = new DeviceConsole(
+  document.getElementById("consoleOutput")
+);
+const RECONNECT_ATTEMPTS = 5;
+const RECONNECT_DELAY_MS = 1000;
+// localStorage key of the Bluetooth device reconnected on page load
+const LAST_DEVICE_KEY = "openblink-last-device";
+// A snippet that prints no result is given up after this time
+const SNIPPET_TIMEOUT_MS = 5000;
+// Slot and CRC16 of the last snippet uploaded, which the next one may replace
+let lastSnippet = null;
+const CONNECTION_LABELS = {
+  disconnected: "Disconnected",
+  connecting: "Connecting...",
+  connected: "Connected",
+  transferring: "Transferring...",
+};
 
 appendToConsole(`OpenBlink WebIDE v${OPENBLINK_WEBIDE_VERSION} started.`);
 
 function appendToConsole(message) {
-  if (message.trim() === "") {
+  deviceConsole.log(message);
+}
+
+function setConnectionState(state, label) {
+  connectionState = state;
+  const status = document.getElementById("connection-status");
+  status.dataset.state = state;
+  status.textContent =
+    label ||
+    CONNECTION_LABELS[state] +
+      (transport && state !== "disconnected" ? " " + transport.name : "");
+
+  const idle = state === "disconnected";
+  const ready = state === "connected";
+  ["ble-connect", "sim-connect", "ws-connect"].forEach((id) => {
+    document.getElementById(id).disabled = !idle;
+  });
+  document.getElementById("serial-connect").disabled =
+    !idle || !navigator.serial;
+  document.getElementById("disconnect").disabled = !transport;
+  [
+    "run-main",
+    "soft-reset",
+    "reload-slot",
+    "boot-slot",
+    "refresh-slots",
+    "snippet-input",
+    "run-snippet",
+  ].forEach((id) => {
+    document.getElementById(id).disabled = !ready;
+  });
+}
+
+function formatSeconds(seconds) {
+  return seconds < 60
+    ? `${seconds.toFixed(1)}s`
+    : `${Math.floor(seconds / 60)}m${Math.round(seconds % 60)}s`;
+}
+
+function showTransferProgress(progress) {
+  document.getElementById("transfer-progress").hidden = false;
+  const bar = document.getElementById("transfer-bar");
+  bar.max = progress.total;
+  bar.value = progress.sent;
+  const eta = progress.eta === null ? "-" : formatSeconds(progress.eta);
+  document.getElementById("transfer-info").textContent =
+    `${progress.sent} / ${progress.total} bytes, ` +
+    `chunk ${progress.chunk} / ${progress.chunkCount}, ` +
+    `${Math.round(progress.bytesPerSecond)} B/s, MTU ${progress.mtu}, ` +
+    `ETA ${eta}`;
+}
+
+function showDeviceInfo() {
+  const element = document.getElementById("device-info");
+  element.hidden = !transport || !transport.connected;
+  if (!deviceInfo) {
+    element.textContent =
+      "Device information is not available (the firmware does not report it).";
     return;
   }
-  const consoleOutput = document.getElementById("consoleOutput");
-  const line = document.createElement("div");
-  line.textContent = message;
-  consoleOutput.appendChild(line);
-  consoleOutput.scrollTop = consoleOutput.scrollHeight;
+  const fields = [];
+  const add = (label, value) => {
+    if (value !== null) {
+      fields.push(`${label}: ${value}`);
+    }
+  };
+  add("Firmware", deviceInfo.firmware);
+  add("Board", deviceInfo.board);
+  add(
+    "Protocols",
+    deviceInfo.protocols &&
+      deviceInfo.protocols.map((version) => "v" + version).join(", ")
+  );
+  add("Slots", deviceInfo.slots);
+  add(
+    "Max program",
+    deviceInfo.capacity !== null ? `${deviceInfo.capacity} bytes` : null
+  );
+  add(
+    "Free memory",
+    deviceInfo.freeMemory !== null ? `${deviceInfo.freeMemory} bytes` : null
+  );
+  add("MTU", transport.mtu);
+  element.textContent = fields.join(", ");
 }
 
-async function negotiateMTU() {
-  const gattServer = programCharacteristic.service.device.gatt;
-  if (gattServer.requestMTU) {
-    try {
-      negotiatedMTU = await gattServer.requestMTU(REQUESTED_MTU);
-      console.log(`Negotiated MTU: ${negotiatedMTU}`);
-    } catch (error) {
-      console.warn(`MTU negotiation failed. Using default MTU: ${DEFAULT_MTU}`);
-      negotiatedMTU = DEFAULT_MTU;
-    }
-  } else {
-    try {
-      const valueDataView = await negotiatedMtuCharacteristic.readValue();
-      const devicemtu = valueDataView.getUint16(0, true);
-      negotiatedMTU = devicemtu - 3;
-      console.log("Device negotiated MTU(uint16):", devicemtu);
-    } catch (error) {
-      console.error("Device negotiated MTU Error:", error);
-    }
-    console.log(
-      `MTU negotiation not supported. Using device's negotiated MTU: ${negotiatedMTU}`
-    );
+async function refreshDeviceInfo() {
+  if (!transport || !transport.connected) {
+    return;
   }
+  try {
+    deviceInfo = await readDeviceInfo(transport);
+  } catch (error) {
+    console.error("Read device info Error:", error);
+    deviceInfo = null;
+  }
+  showDeviceInfo();
 }
 
-async function writeCharacteristic(characteristic, buffer) {
-  if (characteristic.properties.writeWithoutResponse) {
-    return characteristic.writeValueWithoutResponse(buffer);
-  } else {
-    console.log("writeWithoutResponse がサポートされていません。");
-    return characteristic.writeValue(buffer);
-  }
+function selectedSlot() {
+  return Number(document.getElementById("slot-select").value);
 }
 
-async function sendReset() {
-  const buffer = new ArrayBuffer(2);
-  const view = new DataView(buffer);
-  view.setUint8(0, 0x01); // version = 0x01
-  view.setUint8(1, "R".charCodeAt(0)); // command = 'R'
+function slotsManageable() {
+  if (deviceInfo && deviceInfo.protocols) {
+    return deviceInfo.protocols.includes(PROTOCOL_V2);
+  }
+  return deviceStatus !== null && deviceStatus.version === PROTOCOL_V2;
+}
 
+async function refreshSlots() {
+  if (!transport || !transport.connected) {
+    return;
+  }
   try {
-    programCharacteristic.writeValue(buffer);
-    appendToConsole("Send [R]eset Complete");
+    deviceStatus = await readStatus(transport);
   } catch (error) {
-    appendToConsole("Send [R]eset Error:", error);
+    console.error("Read status Error:", error);
+    deviceStatus = null;
+  }
+  const slots = deviceStatus && deviceStatus.slots;
+  const slotCount = slots ? slots.length : deviceInfo && deviceInfo.slots;
+  if (slotCount) {
+    const slotSelect = document.getElementById("slot-select");
+    const selected = selectedSlot();
+    slotSelect.textContent = "";
+    for (let slot = 1; slot <= slotCount; slot++) {
+      const option = document.createElement("option");
+      option.value = slot;
+      option.textContent = slot;
+      option.selected = slot === selected;
+      slotSelect.appendChild(option);
+    }
   }
-}
 
-async function sendReload() {
-  const buffer = new ArrayBuffer(2);
-  const view = new DataView(buffer);
-  view.setUint8(0, 0x01); // version = 0x01
-  view.setUint8(1, "L".charCodeAt(0)); // command = 'L'
+  const slotList = document.getElementById("slot-list");
+  slotList.textContent = "";
+  if (!slots) {
+    const item = document.createElement("li");
+    item.textContent = "The device does not report its slots.";
+    slotList.appendChild(item);
+    return;
+  }
+  slots.forEach((info) => {
+    const item = document.createElement("li");
+    item.textContent =
+      `Slot ${info.slot}: ` +
+      (info.length > 0
+        ? `${info.length} bytes, CRC16=${info.crc16.toString(16)}`
+        : "empty") +
+      (info.slot === deviceStatus.bootSlot ? " (boot)" : "");
+    slotList.appendChild(item);
+  });
+}
 
+// Resolves true if the program was stored and reloaded
+async function runTransfer(transfer) {
+  pendingTransfer = { transfer: transfer, transport: transport };
+  setConnectionState("transferring");
+  const start_send = performance.now();
+  let completed = false;
   try {
-    await writeCharacteristic(programCharacteristic, buffer);
-    appendToConsole("Send re[L]oad Complete");
+    await transfer.run(transport, appendToConsole, {
+      deviceInfo: deviceInfo,
+      verbose: document.getElementById("verbose-log").checked,
+      onProgress: showTransferProgress,
+    });
+    pendingTransfer = null;
+    completed = true;
+    const end_send = performance.now();
+    appendToConsole(
+      "Sending bytecode: Complete! (" +
+        (end_send - start_send).toFixed(2) +
+        "ms)"
+    );
   } catch (error) {
-    appendToConsole("Send re[L]oad Error:", error);
+    if (
+      error.name === "NetworkError" &&
+      pendingTransfer &&
+      pendingTransfer.transfer === transfer
+    ) {
+      appendToConsole(
+        `Sending bytecode interrupted after ${transfer.confirmed} bytes. It resumes when the device is connected again.`
+      );
+    } else {
+      pendingTransfer = null;
+      appendToConsole("Sending bytecode Error: " + error.message);
+    }
+  }
+  if (connectionState === "transferring") {
+    setConnectionState("connected");
   }
+  refreshSlots();
+  refreshDeviceInfo();
+  return completed;
 }
 
-async function sendFirmware(mrbContent) {
-  const contentLength = mrbContent.length;
-  const crc16 = crc16_reflect(0xd175, 0xffff, mrbContent);
-  const slot = 2;
+// Boot slot reported by the device; null if its status does not tell
+function knownBootSlot() {
+  return deviceStatus && deviceStatus.bootSlot ? deviceStatus.bootSlot : null;
+}
 
-  if (!programCharacteristic) {
-    console.error("no program characteristic");
-    return;
+// The first slot that is not the boot slot, so snippets leave the main
+// program in place; null if the device cannot run a slot of its choice or
+// does not report which slot holds the main program
+function scratchSlot() {
+  const bootSlot = knownBootSlot();
+  if (!slotsManageable() || bootSlot === null) {
+    return null;
   }
+  const slotCount = deviceStatus.slots
+    ? deviceStatus.slots.length
+    : deviceInfo && deviceInfo.slots;
+  for (let slot = 1; slot <= slotCount; slot++) {
+    if (slot !== bootSlot) {
+      return slot;
+    }
+  }
+  return null;
+}
 
-  appendToConsole(
-    `Sending bytecode: slot=${slot}, length=${contentLength}bytes, CRC16=${crc16.toString(
-      16
-    )}, MTU=${negotiatedMTU}`
+// A snippet replaces the program in the scratch slot only if the slot is
+// empty, holds the previous snippet, or the user agrees
+function scratchSlotFree(slot) {
+  const info =
+    deviceStatus.slots &&
+    deviceStatus.slots.find((entry) => entry.slot === slot);
+  if (
+    info &&
+    (info.length === 0 ||
+      (lastSnippet &&
+        lastSnippet.slot === slot &&
+        lastSnippet.crc16 === info.crc16))
+  ) {
+    return true;
+  }
+  return confirm(
+    (info
+      ? `Slot ${slot} holds a program (${info.length} bytes).`
+      : `Slot ${slot} may hold a program.`) + " Replace it to run the snippet?"
   );
+}
 
-  const DATA_PAYLOAD_SIZE = negotiatedMTU - DATA_HEADER_SIZE;
-  console.log(`DATA_PAYLOAD_SIZE: ${DATA_PAYLOAD_SIZE} Bytes`);
-
-  for (let offset = 0; offset < contentLength; offset += DATA_PAYLOAD_SIZE) {
-    const chunkDataSize = Math.min(DATA_PAYLOAD_SIZE, contentLength - offset);
-    const buffer = new ArrayBuffer(DATA_HEADER_SIZE + chunkDataSize);
-    const view = new DataView(buffer);
-
-    view.setUint8(0, 0x01); // version = 0x01
-    view.setUint8(1, "D".charCodeAt(0)); // command = 'D'
-    view.setUint16(2, offset, true);
-    view.setUint16(4, chunkDataSize, true);
+// Prints the value of the snippet like irb ("=> value"), or its exception
+function wrapSnippet(code) {
+  return [
+    "begin",
+    "_repl_result = begin",
+    code,
+    "end",
+    'print "=> "',
+    "p _repl_result",
+    "rescue => _repl_error",
+    'print "!! "',
+    "puts _repl_error.message",
+    "end",
+    "",
+  ].join("\n");
+}
 
-    const payload = new Uint8Array(buffer, DATA_HEADER_SIZE, chunkDataSize);
-    payload.set(mrbContent.subarray(offset, offset + chunkDataSize));
+// Watches the console for the result line of a snippet from now on;
+// wait() resolves true once it arrived, or false SNIPPET_TIMEOUT_MS after
+// wait() was called, and stop() detaches the watcher
+function watchSnippetResult() {
+  let found = false;
+  let finish = null;
+  const onLine = (event) => {
+    const line = event.detail;
+    if (line.source === "device" && /^(=>|!!) /.test(line.text)) {
+      found = true;
+      if (finish) {
+        finish();
+      }
+    }
+  };
+  const stop = () => {
+    deviceConsole.removeEventListener("line", onLine);
+  };
+  deviceConsole.addEventListener("line", onLine);
+  return {
+    wait: () =>
+      new Promise((resolve) => {
+        const timer = setTimeout(() => finish(), SNIPPET_TIMEOUT_MS);
+        finish = () => {
+          clearTimeout(timer);
+          stop();
+          resolve(found);
+        };
+        if (found) {
+          finish();
+        }
+      }),
+    stop: stop,
+  };
+}
 
-    try {
-      await writeCharacteristic(programCharacteristic, buffer);
+// Runs a snippet in the scratch slot, then reloads the boot slot so the main
+// program continues
+async function runSnippet(code) {
+  const slot = scratchSlot();
+  if (slot === null) {
+    appendToConsole(
+      "This device cannot run snippets without replacing its program."
+    );
+    return;
+  }
+  if (!scratchSlotFree(slot)) {
+    appendToConsole(`Snippet not run: slot ${slot} keeps its program.`);
+    return;
+  }
+  const bootSlot = knownBootSlot();
+  const mrbContent = compileRubyCode(wrapSnippet(code));
+  if (!mrbContent) {
+    return;
+  }
+  appendToConsole(`Running snippet in scratch slot ${slot}`);
+  // Attached before the transfer: the result may arrive with the reload
+  const watcher = watchSnippetResult();
+  const transfer = new FirmwareTransfer(mrbContent, slot);
+  try {
+    if (!(await runTransfer(transfer))) {
+      if (pendingTransfer && pendingTransfer.transfer === transfer) {
+        // Resuming it later would run the snippet with nothing to restore
+        pendingTransfer = null;
+        appendToConsole("The snippet is not resumed after reconnecting.");
+      }
+      return;
+    }
+    lastSnippet = { slot: slot, crc16: transfer.crc16 };
+    if (!(await watcher.wait())) {
       appendToConsole(
-        `Send [D]ata Ok: Offset=${offset}, Size=${chunkDataSize}`
+        `Snippet printed no result within ${SNIPPET_TIMEOUT_MS / 1000}s.`
       );
-    } catch (error) {
-      appendToConsole(`Send [D]ata Error: Offset=${offset}), Error:`, error);
-      return;
+    }
+  } finally {
+    watcher.stop();
+    if (transport && connectionState === "connected") {
+      await sendReload(transport, appendToConsole, bootSlot);
     }
   }
+}
 
-  const programBuffer = new ArrayBuffer(PROGRAM_HEADER_SIZE);
-  const programView = new DataView(programBuffer);
+function compileRubyCode(rubyCode) {
+  const sourceFileName = "temp.rb";
+  const outputFileName = "temp.mrb";
+  Module.FS.writeFile(sourceFileName, rubyCode);
 
-  programView.setUint8(0, 0x01); // version = 0x01
-  programView.setUint8(1, "P".charCodeAt(0)); // command = 'P'
-  programView.setUint16(2, contentLength, true); // length
-  programView.setUint16(4, crc16, true); // crc: CRC16
-  programView.setUint8(6, slot); // slot
-  programView.setUint8(7, 0); // reserved
+  const args = ["mrbc", "-o", outputFileName, sourceFileName];
+  const argc = args.length;
+
+  const argv = Module._malloc(args.length * 4);
+  const argPointers = args.map((arg) => {
+    const ptr = Module._malloc(arg.length + 1);
+    Module.stringToUTF8(arg, ptr, arg.length + 1);
+    return ptr;
+  });
+
+  for (let i = 0; i < argPointers.length; i++) {
+    Module.setValue(argv + i * 4, argPointers[i], "i32");
+  }
 
   try {
-    await writeCharacteristic(programCharacteristic, programBuffer);
-    appendToConsole("Send [P]rogram Complete");
-    sendReload();
-  } catch (error) {
-    appendToConsole("Send [P]rogram Error:", error);
+    const start_mrbc = performance.now();
+    const result = Module._main(argc, argv);
+    const end_mrbc = performance.now();
+    if (0 == result) {
+      appendToConsole(
+        "mrbc success!: (" + (end_mrbc - start_mrbc).toFixed(2) + "ms)"
+      );
+    } else {
+      appendToConsole("mrbc failed with exit code: " + result);
+      return null;
+    }
+
+    return Module.FS.readFile(outputFileName);
+  } finally {
+    argPointers.forEach((ptr) => Module._free(ptr));
+    Module._free(argv);
   }
 }
 
 Module.onRuntimeInitialized = () => {
   console.log("Emscripten runtime initialized.");
 
-  const openblinkServiceUUID = "227da52c-e13a-412b-befb-ba2256bb7fbe";
-  const openblinkProgramCharacteristicUUID =
-    "ad9fdd56-1135-4a84-923c-ce5a244385e7";
-  const openblinkConsoleCharacteristicUUID =
-    "a015b3de-185a-4252-aa04-7a87d38ce148";
-  const openblinkNegotiatedMtuCharacteristicUUID =
-    "ca141151-3113-448b-b21a-6a6203d253ff";
   const bleConnectButton = document.getElementById("ble-connect");
+  const simConnectButton = document.getElementById("sim-connect");
+  const serialConnectButton = document.getElementById("serial-connect");
+  const wsConnectButton = document.getElementById("ws-connect");
+  const wsUrlInput = document.getElementById("ws-url");
+  const disconnectButton = document.getElementById("disconnect");
   const runMainButton = document.getElementById("run-main");
+  const reloadSlotButton = document.getElementById("reload-slot");
+  const bootSlotButton = document.getElementById("boot-slot");
+  const refreshSlotsButton = document.getElementById("refresh-slots");
   const rebootButton = document.getElementById("soft-reset");
+  const runSimulatorButton = document.getElementById("run-simulator");
+  const stopSimulatorButton = document.getElementById("stop-simulator");
+  const consoleSourceSelect = document.getElementById("console-source");
+  const consoleLevelSelect = document.getElementById("console-level");
+  const consoleSearchInput = document.getElementById("console-search");
+  const snippetInput = document.getElementById("snippet-input");
 
   rebootButton.addEventListener("click", () => {
-    sendReset();
+    if (transport) {
+      sendReset(transport, appendToConsole);
+    }
   });
 
-  bleConnectButton.addEventListener("click", () => {
-    appendToConsole("Connecting to device...");
-    navigator.bluetooth
-      .requestDevice({
-        filters: [
-          { namePrefix: "OpenBlink" },
-          { services: [openblinkServiceUUID] },
-        ],
+  // Connects whatever transport the promise resolves to (transport.js)
+  function connectTransport(transportRequest, options) {
+    setConnectionState("connecting");
+    transportRequest
+      .then((newTransport) => {
+        appendToConsole("Selected device: " + newTransport.name);
+        return newTransport.connect();
       })
-      .then((device) => {
-        appendToConsole("Selected device: " + device.name);
-        return device.gatt.connect();
-      })
-      .then((server) => {
-        console.log("Connected to GATT server");
-        return server.getPrimaryService(openblinkServiceUUID);
-      })
-      .then((service) => {
-        console.log("Got service:", service);
-        return Promise.all([
-          service.getCharacteristic(openblinkConsoleCharacteristicUUID),
-          service.getCharacteristic(openblinkProgramCharacteristicUUID),
-          service.getCharacteristic(openblinkNegotiatedMtuCharacteristicUUID),
-        ]);
-      })
-      .then((characteristics) => {
-        const consoleCharacteristic = characteristics[0];
-        programCharacteristic = characteristics[1];
-        negotiatedMtuCharacteristic = characteristics[2];
-        console.log("Got console characteristic:", consoleCharacteristic);
-        console.log("Got program characteristic:", programCharacteristic);
-        console.log(
-          "Got negotiatedMTU characteristic:",
-          negotiatedMtuCharacteristic
-        );
-        negotiateMTU();
-
-        consoleCharacteristic.addEventListener(
-          "characteristicvaluechanged",
-          (event) => {
-            const value = new TextDecoder().decode(event.target.value);
-            appendToConsole(value);
-          }
-        );
-        return consoleCharacteristic.startNotifications();
+      .then((newTransport) => {
+        useTransport(newTransport);
+        if (options && options.remember) {
+          rememberDevice(newTransport.device);
+        }
+        return transportReady();
       })
       .catch((error) => {
         console.error("Error :", error);
+        if (error.name === "NotFoundError" || error.name === "NetworkError") {
+          appendToConsole(error.message);
+        }
+        if (!transport) {
+          setConnectionState("disconnected");
+        }
       });
-  });
+  }
 
-  runMainButton.addEventListener("click", () => {
+  // Makes newTransport the current one; a lost link is reconnected unless
+  // the Disconnect button dropped it first
+  function useTransport(newTransport) {
+    transport = newTransport;
+    const decoder = new TextDecoder();
+    newTransport.addEventListener("console", (event) => {
+      // A character may be split across notifications, too
+      deviceConsole.receive(
+        "device",
+        decoder.decode(event.detail, { stream: true })
+      );
+    });
+    newTransport.addEventListener("disconnect", () => {
+      if (transport !== newTransport) {
+        return;
+      }
+      deviceStatus = null;
+      deviceInfo = null;
+      showDeviceInfo();
+      deviceConsole.flush("device");
+      appendToConsole("Disconnected from " + newTransport.name);
+      reconnect(newTransport);
+    });
+  }
+
+  async function transportReady() {
+    setConnectionState("connected");
+    await refreshDeviceInfo();
+    if (deviceInfo && deviceInfo.firmware) {
+      appendToConsole(
+        `Device: firmware ${deviceInfo.firmware}` +
+          (deviceInfo.board ? `, board ${deviceInfo.board}` : "")
+      );
+    }
+    if (pendingTransfer && pendingTransfer.transport === transport) {
+      runTransfer(pendingTransfer.transfer);
+      return;
+    }
+    if (pendingTransfer) {
+      pendingTransfer = null;
+      appendToConsole("The interrupted upload is not resumed on this device.");
+    }
+    refreshSlots();
+  }
+
+  // Retries connect() on the same transport, so a device that resets during
+  // development comes back with its console notifications re-armed
+  async function reconnect(lostTransport) {
+    for (let attempt = 1; attempt <= RECONNECT_ATTEMPTS; attempt++) {
+      setConnectionState(
+        "connecting",
+        `Reconnecting to ${lostTransport.name} (${attempt}/${RECONNECT_ATTEMPTS})...`
+      );
+      await new Promise((resolve) =>
+        setTimeout(resolve, RECONNECT_DELAY_MS * attempt)
+      );
+      if (transport !== lostTransport) {
+        return;
+      }
+      try {
+        await lostTransport.connect();
+      } catch (error) {
+        console.warn("Reconnect Error:", error);
+        continue;
+      }
+      if (transport !== lostTransport) {
+        lostTransport.disconnect();
+        return;
+      }
+      appendToConsole("Reconnected to " + lostTransport.name);
+      await transportReady();
+      return;
+    }
+    if (transport === lostTransport) {
+      transport = null;
+      setConnectionState("disconnected");
+      appendToConsole(`Could not reconnect to ${lostTransport.name}.`);
+    }
+  }
+
+  function rememberDevice(device) {
     try {
-      const rubyCode = editor.getValue();
+      localStorage.setItem(LAST_DEVICE_KEY, device.id);
+    } catch (error) {
+      console.warn("Cannot remember the device:", error);
+    }
+  }
 
-      const sourceFileName = "temp.rb";
-      const outputFileName = "temp.mrb";
-      Module.FS.writeFile(sourceFileName, rubyCode);
+  // Browsers with getDevices() return the devices this page was allowed to
+  // use before, so the last one is reconnected without the chooser
+  async function reconnectLastDevice() {
+    if (!navigator.bluetooth || !navigator.bluetooth.getDevices) {
+      return;
+    }
+    let lastDeviceId = null;
+    try {
+      lastDeviceId = localStorage.getItem(LAST_DEVICE_KEY);
+    } catch (error) {
+      console.warn("Cannot read the last device:", error);
+    }
+    if (!lastDeviceId) {
+      return;
+    }
+    const devices = await navigator.bluetooth.getDevices();
+    const device = devices.find((device) => device.id === lastDeviceId);
+    if (!device || transport) {
+      return;
+    }
+    appendToConsole("Reconnecting to last device " + device.name + "...");
+    const lastTransport = new BleTransport(device);
+    useTransport(lastTransport);
+    reconnect(lastTransport);
+  }
 
-      const args = ["mrbc", "-o", outputFileName, sourceFileName];
-      const argc = args.length;
+  bleConnectButton.addEventListener("click", () => {
+    appendToConsole("Connecting to device...");
+    connectTransport(
+      navigator.bluetooth
+        .requestDevice({
+          filters: [
+            { namePrefix: "OpenBlink" },
+            { services: [OPENBLINK_SERVICE_UUID] },
+          ],
+        })
+        .then((device) => new BleTransport(device)),
+      { remember: true }
+    );
+  });
 
-      const argv = Module._malloc(args.length * 4);
-      const argPointers = args.map((arg) => {
-        const ptr = Module._malloc(arg.length + 1);
-        Module.stringToUTF8(arg, ptr, arg.length + 1);
-        return ptr;
-      });
+  simConnectButton.addEventListener("click", () => {
+    appendToConsole("Connecting to simulator...");
+    connectTransport(
+      requestSimulatedDevice().then((device) => new BleTransport(device))
+    );
+  });
+
+  serialConnectButton.addEventListener("click", () => {
+    appendToConsole("Connecting to serial port...");
+    connectTransport(
+      navigator.serial.requestPort().then((port) => new SerialTransport(port))
+    );
+  });
+
+  wsConnectButton.addEventListener("click", () => {
+    appendToConsole("Connecting to " + wsUrlInput.value + "...");
+    connectTransport(Promise.resolve(new WebSocketTransport(wsUrlInput.value)));
+  });
+
+  disconnectButton.addEventListener("click", () => {
+    const current = transport;
+    if (!current) {
+      return;
+    }
+    transport = null;
+    if (pendingTransfer) {
+      pendingTransfer = null;
+      appendToConsole("The interrupted upload is discarded.");
+    }
+    deviceStatus = null;
+    deviceInfo = null;
+    showDeviceInfo();
+    setConnectionState("disconnected");
+    current.disconnect();
+    deviceConsole.flush("device");
+    appendToConsole("Disconnected from " + current.name);
+  });
 
-      for (let i = 0; i < argPointers.length; i++) {
-        Module.setValue(argv + i * 4, argPointers[i], "i32");
+  runMainButton.addEventListener("click", () => {
+    try {
+      const mrbContent = compileRubyCode(editor.getValue());
+      if (!mrbContent) {
+        return;
       }
 
-      const start_mrbc = performance.now();
-      const result = Module._main(argc, argv);
-      const end_mrbc = performance.now();
-      if (0 == result) {
-        appendToConsole(
-          "mrbc success!: (" + (end_mrbc - start_mrbc).toFixed(2) + "ms)"
-        );
-      } else {
-        appendToConsole("mrbc failed with exit code:", result);
+      if (!transport) {
+        console.error("no transport");
         return;
       }
 
-      const mrbContent = Module.FS.readFile(outputFileName);
+      runTransfer(new FirmwareTransfer(mrbContent, selectedSlot()));
+    } catch (error) {
+      appendToConsole(`Error: ${error.message}`);
+    }
+  });
+
+  reloadSlotButton.addEventListener("click", () => {
+    if (!transport) {
+      return;
+    }
+    if (slotsManageable()) {
+      sendReload(transport, appendToConsole, selectedSlot());
+    } else {
+      appendToConsole("This device can only reload its boot slot.");
+      sendReload(transport, appendToConsole);
+    }
+  });
+
+  bootSlotButton.addEventListener("click", async () => {
+    if (!transport) {
+      return;
+    }
+    if (!slotsManageable()) {
+      appendToConsole("This device cannot select its boot slot.");
+      return;
+    }
+    await sendBootSlot(transport, appendToConsole, selectedSlot());
+    refreshSlots();
+  });
+
+  refreshSlotsButton.addEventListener("click", () => {
+    refreshSlots();
+  });
 
-      if (!programCharacteristic) {
-        console.error("no program characteristic");
+  runSimulatorButton.addEventListener("click", () => {
+    try {
+      const mrbContent = compileRubyCode(editor.getValue());
+      if (!mrbContent) {
         return;
       }
+      runInSimulator(mrbContent);
+    } catch (error) {
+      appendToConsole(`Error: ${error.message}`);
+    }
+  });
 
-      const start_send = performance.now();
-      sendFirmware(mrbContent)
-        .then(() => {
-          const end_send = performance.now();
-          appendToConsole(
-            "Sending bytecode: Complete! (" +
-              (end_send - start_send).toFixed(2) +
-              "ms)"
-          );
-        })
-        .catch((error) => {
-          appendToConsole("Sending bytecode Error:", error);
-        });
+  stopSimulatorButton.addEventListener("click", () => {
+    stopSimulator();
+  });
 
-      argPointers.forEach((ptr) => Module._free(ptr));
-      Module._free(argv);
-    } catch (error) {
-      appendToConsole("Error:", error);
+  // Sent snippets, newest last; Up and Down in the input walk through them
+  const snippetHistory = [];
+  let snippetHistoryIndex = 0;
+  const submitSnippet = () => {
+    const code = snippetInput.value;
+    if (code.trim() === "" || !transport) {
+      return;
     }
+    if (snippetHistory[snippetHistory.length - 1] !== code) {
+      snippetHistory.push(code);
+    }
+    snippetHistoryIndex = snippetHistory.length;
+    snippetInput.value = "";
+    appendToConsole("> " + code);
+    runSnippet(code).catch((error) => {
+      appendToConsole("Snippet Error: " + error.message);
+    });
+  };
+  document
+    .getElementById("run-snippet")
+    .addEventListener("click", submitSnippet);
+  snippetInput.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      submitSnippet();
+    } else if (event.key === "ArrowUp" && snippetHistoryIndex > 0) {
+      event.preventDefault();
+      snippetInput.value = snippetHistory[--snippetHistoryIndex];
+    } else if (
+      event.key === "ArrowDown" &&
+      snippetHistoryIndex < snippetHistory.length
+    ) {
+      event.preventDefault();
+      snippetInput.value = snippetHistory[++snippetHistoryIndex] || "";
+    }
+  });
+
+  const updateConsoleFilter = () => {
+    deviceConsole.setFilter({
+      source: consoleSourceSelect.value,
+      level: consoleLevelSelect.value,
+      search: consoleSearchInput.value,
+    });
+  };
+  consoleSourceSelect.addEventListener("change", updateConsoleFilter);
+  consoleLevelSelect.addEventListener("change", updateConsoleFilter);
+  consoleSearchInput.addEventListener("input", updateConsoleFilter);
+  document.getElementById("console-clear").addEventListener("click", () => {
+    deviceConsole.clear();
+  });
+  document
+    .getElementById("console-export-text")
+    .addEventListener("click", () => {
+      deviceConsole.download("text");
+    });
+  document
+    .getElementById("console-export-jsonl")
+    .addEventListener("click", () => {
+      deviceConsole.download("jsonl");
+    });
+
+  setConnectionState("disconnected");
+  reconnectLastDevice().catch((error) => {
+    console.error("Reconnect last device Error:", error);
   });
 };
@@ -0,0 +1,233 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/*
+ * Console
+ * Keeps IDE messages, device output and simulator output as timestamped
+ * lines. Output arrives in chunks (one per BLE notification or VM write), so
+ * lines are reassembled per source before they are shown. The newest
+ * CONSOLE_MAX_LINES lines are kept for filtering and export. Each new line
+ * is also dispatched as a "line" CustomEvent whose detail is:
+ *
+ *   { time, source, level, text }
+ *   time    milliseconds since the epoch when the line started
+ *   source  "ide", "device" or "simulator"
+ *   level   "info", "warn" or "error", guessed from the text
+ */
+const CONSOLE_MAX_LINES = 2000;
+// Output without a trailing newline is shown after this idle time
+const CONSOLE_FLUSH_MS = 500;
+const CONSOLE_SOURCE_LABELS = {
+  ide: "IDE",
+  device: "Device",
+  simulator: "SIM",
+};
+
+function consoleLevel(text) {
+  if (/error|exception|failed/i.test(text)) {
+    return "error";
+  }
+  if (/warn/i.test(text)) {
+    return "warn";
+  }
+  return "info";
+}
+
+function formatConsoleTime(time) {
+  const date = new Date(time);
+  const pad = (value, length) => String(value).padStart(length || 2, "0");
+  return (
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:` +
+    `${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`
+  );
+}
+
+class DeviceConsole extends EventTarget {
+  constructor(output, maxLines) {
+    super();
+    this.output = output;
+    this.maxLines = maxLines || CONSOLE_MAX_LINES;
+    this.entries = [];
+    // Unfinished line of each source: { text, time, timer }
+    this.partials = new Map();
+    this.filter = { source: "all", level: "all", search: "" };
+  }
+
+  // IDE messages are complete lines; blank messages are dropped
+  log(message) {
+    message.split(/\r?\n/).forEach((line) => {
+      if (line.trim() !== "") {
+        this.add("ide", line, Date.now());
+      }
+    });
+  }
+
+  // Adds a chunk of output, which may end in the middle of a line
+  receive(source, text) {
+    const partial = this.partials.get(source) || { text: "", time: null };
+    clearTimeout(partial.timer);
+    let time = partial.text !== "" ? partial.time : Date.now();
+    const lines = (partial.text + text).split("\n");
+    const rest = lines.pop();
+    lines.forEach((line) => {
+      this.add(source, line.replace(/\r$/, ""), time);
+      time = Date.now();
+    });
+    if (rest === "") {
+      this.partials.delete(source);
+      return;
+    }
+    this.partials.set(source, {
+      text: rest,
+      time: time,
+      timer: setTimeout(() => this.flush(source), CONSOLE_FLUSH_MS),
+    });
+  }
+
+  // Shows the unfinished line of a source as it is
+  flush(source) {
+    const partial = this.partials.get(source);
+    if (partial) {
+      clearTimeout(partial.timer);
+      this.partials.delete(source);
+      this.add(source, partial.text.replace(/\r$/, ""), partial.time);
+    }
+  }
+
+  add(source, text, time) {
+    const entry = { time, source, level: consoleLevel(text), text };
+    this.entries.push(entry);
+    while (this.entries.length > this.maxLines) {
+      const oldest = this.entries.shift();
+      if (oldest.element) {
+        oldest.element.remove();
+      }
+    }
+    if (this.matches(entry)) {
+      const atBottom =
+        this.output.scrollHeight - this.output.scrollTop <=
+        this.output.clientHeight + 5;
+      this.output.appendChild(this.render(entry));
+      if (atBottom) {
+        this.output.scrollTop = this.output.scrollHeight;
+      }
+    }
+    this.dispatchEvent(
+      new CustomEvent("line", {
+        detail: { time, source, level: entry.level, text },
+      })
+    );
+  }
+
+  matches(entry) {
+    const filter = this.filter;
+    if (filter.source !== "all" && entry.source !== filter.source) {
+      return false;
+    }
+    if (filter.level === "error" && entry.level !== "error") {
+      return false;
+    }
+    if (filter.level === "warn" && entry.level === "info") {
+      return false;
+    }
+    return (
+      filter.search === "" ||
+      entry.text.toLowerCase().includes(filter.search.toLowerCase())
+    );
+  }
+
+  render(entry) {
+    const line = document.createElement("div");
+    line.className = `console-${entry.source} console-${entry.level}`;
+    const time = document.createElement("span");
+    time.className = "console-time";
+    time.textContent = formatConsoleTime(entry.time);
+    const source = document.createElement("span");
+    source.className = "console-source";
+    source.textContent = CONSOLE_SOURCE_LABELS[entry.source];
+    line.append(time, source, ...this.highlight(entry.text));
+    entry.element = line;
+    return line;
+  }
+
+  // Splits text into text nodes and <mark>s around the search matches
+  highlight(text) {
+    const search = this.filter.search.toLowerCase();
+    if (search === "") {
+      return [text];
+    }
+    const nodes = [];
+    const lowerText = text.toLowerCase();
+    let start = 0;
+    let index;
+    while ((index = lowerText.indexOf(search, start)) !== -1) {
+      nodes.push(text.slice(start, index));
+      const mark = document.createElement("mark");
+      mark.textContent = text.slice(index, index + search.length);
+      nodes.push(mark);
+      start = index + search.length;
+    }
+    nodes.push(text.slice(start));
+    return nodes;
+  }
+
+  setFilter(filter) {
+    Object.assign(this.filter, filter);
+    this.output.textContent = "";
+    this.entries.forEach((entry) => {
+      entry.element = null;
+      if (this.matches(entry)) {
+        this.output.appendChild(this.render(entry));
+      }
+    });
+    this.output.scrollTop = this.output.scrollHeight;
+  }
+
+  clear() {
+    this.partials.forEach((partial) => clearTimeout(partial.timer));
+    this.partials.clear();
+    this.entries = [];
+    this.output.textContent = "";
+  }
+
+  toText() {
+    return this.entries
+      .map(
+        (entry) =>
+          `${new Date(entry.time).toISOString()} ` +
+          `[${CONSOLE_SOURCE_LABELS[entry.source]}] ` +
+          `${entry.level.toUpperCase()} ${entry.text}\n`
+      )
+      .join("");
+  }
+
+  toJSONL() {
+    return this.entries
+      .map(
+        (entry) =>
+          JSON.stringify({
+            time: new Date(entry.time).toISOString(),
+            source: entry.source,
+            level: entry.level,
+            text: entry.text,
+          }) + "\n"
+      )
+      .join("");
+  }
+
+  // Saves every kept line, whatever the filter shows, as "text" or "jsonl"
+  download(format) {
+    const jsonl = format === "jsonl";
+    const blob = new Blob([jsonl ? this.toJSONL() : this.toText()], {
+      type: jsonl ? "application/x-ndjson" : "text/plain",
+    });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `openblink-console-${stamp}.${jsonl ? "jsonl" : "txt"}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+}
@@ -0,0 +1,489 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2025 ViXion Inc. All Rights Reserved.
+ */
+
+/*
+ * OpenBlink protocol
+ * Builds the program packets and sends them over any transport
+ * (transport.js). Progress and errors are reported through `log`, so the
+ * functions run the same against a device, the simulator or a MockTransport.
+ *
+ * Packets start with the protocol version (little endian fields):
+ *   v1: [0x01][D][offset: u16][size: u16][payload]
+ *       [0x01][P][length: u16][crc: u16][slot: u8][reserved]
+ *   v2: [0x02][D][offset: u32][size: u16][payload]
+ *       [0x02][P][length: u32][crc: u16][slot: u8][reserved]
+ *       [0x02][L][slot: u8] runs a slot
+ *       [0x02][B][slot: u8] selects the slot that runs after a reset
+ *   [0x01][L] reload of the boot slot and [0x01][R] reset carry no fields and
+ *   are sent as v1.
+ * A device speaking v2 answers status reads in v2 (see readStatus) and lists
+ * it in its device info (see readDeviceInfo); any other device gets v1,
+ * which limits programs to 65535 bytes and cannot select slots other than by
+ * uploading to them.
+ */
+const PROTOCOL_V1 = 0x01;
+const PROTOCOL_V2 = 0x02;
+const PROTOCOLS = {
+  [PROTOCOL_V1]: {
+    dataHeaderSize: 6,
+    programHeaderSize: 8,
+    maxLength: 0xffff,
+  },
+  [PROTOCOL_V2]: {
+    dataHeaderSize: 8,
+    programHeaderSize: 10,
+    maxLength: 0xffffffff,
+  },
+};
+const DEFAULT_SLOT = 2;
+// Every ACK_WINDOW-th data packet is written with response and followed by
+// a status read, so at most one window is resent after a loss
+const ACK_WINDOW = 8;
+const RETRY_LIMIT = 3;
+const RETRY_DELAY_MS = 200;
+// The device may still be checking the program when the status is read
+const VERIFY_TIMEOUT_MS = 2000;
+const VERIFY_POLL_MS = 50;
+
+// Result byte of the program status
+const PROGRAM_STATUS = {
+  receiving: 0,
+  stored: 1,
+  crcError: 2,
+  lengthError: 3,
+  slotError: 4,
+};
+
+function buildCommandPacket(command) {
+  const buffer = new ArrayBuffer(2);
+  const view = new DataView(buffer);
+  view.setUint8(0, PROTOCOL_V1); // version = 0x01
+  view.setUint8(1, command.charCodeAt(0)); // command
+  return buffer;
+}
+
+function buildSlotPacket(command, slot) {
+  const buffer = new ArrayBuffer(3);
+  const view = new DataView(buffer);
+  view.setUint8(0, PROTOCOL_V2); // version = 0x02
+  view.setUint8(1, command.charCodeAt(0)); // command
+  view.setUint8(2, slot); // slot
+  return buffer;
+}
+
+function buildDataPacket(version, mrbContent, offset, chunkDataSize) {
+  const headerSize = PROTOCOLS[version].dataHeaderSize;
+  const buffer = new ArrayBuffer(headerSize + chunkDataSize);
+  const view = new DataView(buffer);
+
+  view.setUint8(0, version); // version
+  view.setUint8(1, "D".charCodeAt(0)); // command = 'D'
+  if (version === PROTOCOL_V2) {
+    view.setUint32(2, offset, true);
+    view.setUint16(6, chunkDataSize, true);
+  } else {
+    view.setUint16(2, offset, true);
+    view.setUint16(4, chunkDataSize, true);
+  }
+
+  const payload = new Uint8Array(buffer, headerSize, chunkDataSize);
+  payload.set(mrbContent.subarray(offset, offset + chunkDataSize));
+  return buffer;
+}
+
+function buildProgramPacket(version, contentLength, crc16, slot) {
+  const buffer = new ArrayBuffer(PROTOCOLS[version].programHeaderSize);
+  const view = new DataView(buffer);
+
+  view.setUint8(0, version); // version
+  view.setUint8(1, "P".charCodeAt(0)); // command = 'P'
+  let field = 2;
+  if (version === PROTOCOL_V2) {
+    view.setUint32(field, contentLength, true); // length
+    field += 4;
+  } else {
+    view.setUint16(field, contentLength, true); // length
+    field += 2;
+  }
+  view.setUint16(field, crc16, true); // crc: CRC16
+  view.setUint8(field + 2, slot); // slot
+  view.setUint8(field + 3, 0); // reserved
+  return buffer;
+}
+
+// Reading the program characteristic returns the program status:
+//   v1: [0x01][S][received: u16][result: u8][reserved]
+//   v2: [0x02][S][received: u32][result: u8][reserved][capacity: u32]
+//       optionally followed by [boot: u8][count: u8] and, for each slot from
+//       slot 1, [length: u32][crc: u16]
+// received counts the bytes received in order from offset 0; capacity is
+// the largest program a slot holds; slots lists the stored programs, or is
+// null if the device does not report them. Resolves to null if the device
+// cannot report its status.
+async function readStatus(transport) {
+  let view;
+  try {
+    view = await transport.read();
+  } catch (error) {
+    if (error.name === "NotSupportedError") {
+      return null;
+    }
+    throw error;
+  }
+  if (view.byteLength < 2 || view.getUint8(1) !== "S".charCodeAt(0)) {
+    return null;
+  }
+  const version = view.getUint8(0);
+  if (version === PROTOCOL_V1 && view.byteLength >= 6) {
+    return {
+      version: version,
+      received: view.getUint16(2, true),
+      result: view.getUint8(4),
+      capacity: null,
+      bootSlot: null,
+      slots: null,
+    };
+  }
+  if (version >= PROTOCOL_V2 && view.byteLength >= 12) {
+    // Newer devices still speak v2
+    const status = {
+      version: PROTOCOL_V2,
+      received: view.getUint32(2, true),
+      result: view.getUint8(6),
+      capacity: view.getUint32(8, true),
+      bootSlot: null,
+      slots: null,
+    };
+    if (view.byteLength >= 14) {
+      status.bootSlot = view.getUint8(12);
+      const count = Math.min(
+        view.getUint8(13),
+        Math.floor((view.byteLength - 14) / 6)
+      );
+      status.slots = [];
+      for (let i = 0; i < count; i++) {
+        status.slots.push({
+          slot: i + 1,
+          length: view.getUint32(14 + 6 * i, true),
+          crc16: view.getUint16(18 + 6 * i, true),
+        });
+      }
+    }
+    return status;
+  }
+  return null;
+}
+
+// The device info characteristic holds a UTF-8 JSON object such as
+//   { "firmware": "1.0.0", "board": "xiao-nrf54l15", "protocols": [1, 2],
+//     "slots": 2, "capacity": 262144, "freeMemory": 524288 }
+// Resolves with its fields, null where missing, or with null if the device
+// has no device info.
+async function readDeviceInfo(transport) {
+  let view;
+  try {
+    view = await transport.readDeviceInfo();
+  } catch (error) {
+    if (error.name === "NotSupportedError") {
+      return null;
+    }
+    throw error;
+  }
+  let info;
+  try {
+    info = JSON.parse(new TextDecoder().decode(view));
+  } catch (error) {
+    console.warn("Unreadable device info:", error);
+    return null;
+  }
+  if (info === null || typeof info !== "object") {
+    return null;
+  }
+  const text = (value) => (typeof value === "string" ? value : null);
+  const count = (value) =>
+    Number.isInteger(value) && value >= 0 ? value : null;
+  return {
+    firmware: text(info.firmware),
+    board: text(info.board),
+    protocols: Array.isArray(info.protocols)
+      ? info.protocols.filter(Number.isInteger)
+      : null,
+    slots: count(info.slots),
+    capacity: count(info.capacity),
+    freeMemory: count(info.freeMemory),
+  };
+}
+
+// Picks the highest protocol version both sides speak and the largest
+// program the device accepts
+function negotiateProtocol(deviceInfo, status) {
+  let version = status ? status.version : PROTOCOL_V1;
+  if (deviceInfo && deviceInfo.protocols) {
+    const common = deviceInfo.protocols.filter((v) => PROTOCOLS[v]);
+    if (common.length === 0) {
+      throw new Error(
+        `The device speaks protocol ${deviceInfo.protocols.join(", ")}; ` +
+          `this WebIDE supports ${Object.keys(PROTOCOLS).join(", ")}`
+      );
+    }
+    version = Math.max(...common);
+  }
+  const limits = [PROTOCOLS[version].maxLength];
+  if (status && status.capacity !== null) {
+    limits.push(status.capacity);
+  }
+  if (deviceInfo && deviceInfo.capacity !== null) {
+    limits.push(deviceInfo.capacity);
+  }
+  return { version: version, maxLength: Math.min(...limits) };
+}
+
+// Retries a write that failed with NetworkError, unless the link is gone
+async function writeWithRetry(transport, buffer, response) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await transport.write(buffer, response);
+    } catch (error) {
+      if (
+        error.name !== "NetworkError" ||
+        !transport.connected ||
+        attempt >= RETRY_LIMIT
+      ) {
+        throw error;
+      }
+      await new Promise((resolve) =>
+        setTimeout(resolve, RETRY_DELAY_MS * 2 ** attempt)
+      );
+    }
+  }
+}
+
+async function sendReset(transport, log) {
+  try {
+    await transport.write(buildCommandPacket("R"), true);
+    log("Send [R]eset Complete");
+  } catch (error) {
+    log("Send [R]eset Error: " + error);
+  }
+}
+
+// Without a slot the device runs its boot slot; a slot needs protocol v2
+async function sendReload(transport, log, slot) {
+  try {
+    await transport.write(
+      slot === undefined ? buildCommandPacket("L") : buildSlotPacket("L", slot)
+    );
+    log(
+      slot === undefined
+        ? "Send re[L]oad Complete"
+        : `Send re[L]oad Complete: slot=${slot}`
+    );
+  } catch (error) {
+    log("Send re[L]oad Error: " + error);
+  }
+}
+
+// Needs protocol v2
+async function sendBootSlot(transport, log, slot) {
+  try {
+    await transport.write(buildSlotPacket("B", slot), true);
+    log(`Send [B]oot slot Complete: slot=${slot}`);
+  } catch (error) {
+    log("Send [B]oot slot Error: " + error);
+  }
+}
+
+// One upload of a program. `confirmed` is the offset up to which the device
+// acknowledged the data; run() continues from there, so a transfer that
+// failed because the link dropped can be run again after reconnecting.
+class FirmwareTransfer {
+  constructor(mrbContent, slot) {
+    this.content = mrbContent;
+    this.slot = slot;
+    this.crc16 = crc16_reflect(0xd175, 0xffff, mrbContent);
+    this.confirmed = 0;
+    this.version = PROTOCOL_V1;
+  }
+
+  // Resolves with true if the device verified the CRC16, false if it cannot
+  // report it; rejects if the upload failed. options.deviceInfo is the result
+  // of readDeviceInfo, checked before anything is sent; options.verbose logs
+  // every data packet; options.onProgress receives { sent, total, chunk,
+  // chunkCount, mtu, bytesPerSecond, eta } after every packet, eta in seconds
+  // or null.
+  async run(transport, log, options = {}) {
+    const contentLength = this.content.length;
+    const deviceInfo = options.deviceInfo || null;
+    const status = await readStatus(transport);
+    const { version, maxLength } = negotiateProtocol(deviceInfo, status);
+    this.version = version;
+    if (
+      deviceInfo &&
+      deviceInfo.slots !== null &&
+      (this.slot < 1 || this.slot > deviceInfo.slots)
+    ) {
+      this.confirmed = 0;
+      throw new RangeError(
+        `Slot ${this.slot} does not exist; the device has ${deviceInfo.slots} slots`
+      );
+    }
+    if (contentLength > maxLength) {
+      this.confirmed = 0;
+      throw new RangeError(
+        `Program is ${contentLength} bytes; the device accepts at most ${maxLength} bytes (protocol v${this.version})`
+      );
+    }
+    let offset = this.resumeOffset(status, log);
+
+    log(
+      `Sending bytecode: slot=${
+        this.slot
+      }, length=${contentLength}bytes, CRC16=${this.crc16.toString(16)}, MTU=${
+        transport.mtu
+      }, protocol=v${this.version}`
+    );
+
+    const DATA_PAYLOAD_SIZE =
+      transport.mtu - PROTOCOLS[this.version].dataHeaderSize;
+
+    const chunkCount = Math.ceil(contentLength / DATA_PAYLOAD_SIZE);
+    const start = performance.now();
+    let written = 0;
+    const reportProgress = () => {
+      if (!options.onProgress) {
+        return;
+      }
+      const seconds = (performance.now() - start) / 1000;
+      const bytesPerSecond = seconds > 0 ? written / seconds : 0;
+      options.onProgress({
+        sent: offset,
+        total: contentLength,
+        chunk: Math.ceil(offset / DATA_PAYLOAD_SIZE),
+        chunkCount: chunkCount,
+        mtu: transport.mtu,
+        bytesPerSecond: bytesPerSecond,
+        eta:
+          bytesPerSecond > 0 ? (contentLength - offset) / bytesPerSecond : null,
+      });
+    };
+    reportProgress();
+
+    let chunk = 0;
+    let rewinds = 0;
+    while (offset < contentLength) {
+      const chunkDataSize = Math.min(DATA_PAYLOAD_SIZE, contentLength - offset);
+      const end = offset + chunkDataSize;
+      const acknowledge = ++chunk % ACK_WINDOW === 0 || end === contentLength;
+      try {
+        await writeWithRetry(
+          transport,
+          buildDataPacket(this.version, this.content, offset, chunkDataSize),
+          acknowledge
+        );
+      } catch (error) {
+        log(`Send [D]ata Error: Offset=${offset}, Error: ${error}`);
+        throw error;
+      }
+      if (options.verbose) {
+        log(`Send [D]ata Ok: Offset=${offset}, Size=${chunkDataSize}`);
+      }
+      written += chunkDataSize;
+      offset = end;
+      if (!acknowledge) {
+        reportProgress();
+        continue;
+      }
+
+      const status = await readStatus(transport);
+      if (status && status.received < offset) {
+        // Packets written without response were lost; resend from the gap
+        if (++rewinds > RETRY_LIMIT) {
+          throw new Error(
+            `Device stopped receiving at offset ${status.received}`
+          );
+        }
+        log(`Device received ${status.received} bytes, resending from there`);
+        offset = status.received;
+      }
+      this.confirmed = offset;
+      reportProgress();
+    }
+
+    try {
+      await writeWithRetry(
+        transport,
+        buildProgramPacket(this.version, contentLength, this.crc16, this.slot),
+        true
+      );
+    } catch (error) {
+      log("Send [P]rogram Error: " + error);
+      throw error;
+    }
+    log("Send [P]rogram Complete");
+    const verified = await this.verify(transport, log);
+    // v1 devices can only run their boot slot
+    await sendReload(
+      transport,
+      log,
+      this.version === PROTOCOL_V2 ? this.slot : undefined
+    );
+    return verified;
+  }
+
+  // Continues after the data the device still holds, if it can tell
+  resumeOffset(status, log) {
+    if (this.confirmed === 0) {
+      return 0;
+    }
+    if (!status) {
+      log("Device cannot report received data, restarting the transfer");
+      return 0;
+    }
+    const offset = Math.min(status.received, this.content.length);
+    log(`Resuming transfer at offset ${offset}`);
+    return offset;
+  }
+
+  async verify(transport, log) {
+    const deadline = performance.now() + VERIFY_TIMEOUT_MS;
+    let status = await readStatus(transport);
+    while (status && status.result === PROGRAM_STATUS.receiving) {
+      if (performance.now() >= deadline) {
+        throw new Error(
+          `Device did not confirm the program within ${VERIFY_TIMEOUT_MS} ms`
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, VERIFY_POLL_MS));
+      status = await readStatus(transport);
+    }
+    if (!status) {
+      log("CRC16 not verified: the device does not report program status");
+      return false;
+    }
+    if (status.result === PROGRAM_STATUS.stored) {
+      log(`CRC16 verified: slot ${this.slot} stored`);
+      return true;
+    }
+    // The device discarded the data, so a retry starts over
+    this.confirmed = 0;
+    const reasons = {
+      [PROGRAM_STATUS.crcError]: "CRC16 mismatch",
+      [PROGRAM_STATUS.lengthError]: "length mismatch",
+      [PROGRAM_STATUS.slotError]: "invalid slot",
+    };
+    throw new Error(
+      "Device rejected the program: " +
+        (reasons[status.result] || `status ${status.result}`)
+    );
+  }
+}
+
+function sendFirmware(transport, mrbContent, log, options) {
+  return new FirmwareTransfer(mrbContent, DEFAULT_SLOT).run(
+    transport,
+    log,
+    options
+  );
+}
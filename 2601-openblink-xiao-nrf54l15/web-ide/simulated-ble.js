@@ -0,0 +1,276 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/*
+ * Simulated Bluetooth device
+ * Connects to the OpenBlink peripheral of a Web Simulator tab over a
+ * BroadcastChannel (see web-simulator/lib/openblink-peripheral.js for the
+ * messages) and exposes it with the Web Bluetooth device, GATT server,
+ * service and characteristic interfaces used by BleTransport (transport.js).
+ */
+const SIMULATED_BLE_SCAN_MS = 500;
+const SIMULATED_BLE_TIMEOUT_MS = 2000;
+
+// Resolves to the first simulated device that answers a scan
+function requestSimulatedDevice(port) {
+  port = port || new BroadcastChannel(OPENBLINK_LINK_CHANNEL);
+  const client = Math.random().toString(36).slice(2);
+  return new Promise((resolve, reject) => {
+    const onMessage = (event) => {
+      const message = event.data;
+      if (message && message.type === "advertise") {
+        clearTimeout(timer);
+        port.removeEventListener("message", onMessage);
+        resolve(new SimulatedBluetoothDevice(port, client, message));
+      }
+    };
+    const timer = setTimeout(() => {
+      port.removeEventListener("message", onMessage);
+      reject(
+        new DOMException(
+          "No simulated device found. Open the Web Simulator in another tab.",
+          "NotFoundError"
+        )
+      );
+    }, SIMULATED_BLE_SCAN_MS);
+    port.addEventListener("message", onMessage);
+    if (typeof port.start === "function") {
+      port.start();
+    }
+    port.postMessage({ type: "scan", client: client });
+  });
+}
+
+class SimulatedBluetoothDevice extends EventTarget {
+  constructor(port, client, advertisement) {
+    super();
+    this.port = port;
+    this.client = client;
+    this.id = advertisement.device;
+    this.name = advertisement.name;
+    this.services = advertisement.services;
+    this.gatt = new SimulatedGattServer(this);
+    this.characteristics = new Map();
+    this.pending = new Map();
+    this.nextRequest = 1;
+    port.addEventListener("message", (event) => this.handleMessage(event.data));
+  }
+
+  post(message) {
+    this.port.postMessage({ ...message, device: this.id, client: this.client });
+  }
+
+  // Sends a message and resolves with the peripheral's answer
+  request(message) {
+    const request = this.nextRequest++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(request);
+        reject(
+          new DOMException("Simulated device did not respond.", "NetworkError")
+        );
+      }, SIMULATED_BLE_TIMEOUT_MS);
+      this.pending.set(request, { resolve, reject, timer });
+      this.post({ ...message, request: request });
+    });
+  }
+
+  handleMessage(message) {
+    if (
+      !message ||
+      message.device !== this.id ||
+      message.client !== this.client
+    ) {
+      return;
+    }
+    if (message.type === "connected") {
+      this.settle("connect", null, message);
+    } else if (message.type === "disconnected") {
+      this.handleDisconnect();
+    } else if (message.type === "result") {
+      this.settle(message.request, message.error, message.value);
+    } else if (message.type === "notify") {
+      const characteristic = this.characteristics.get(message.uuid);
+      if (characteristic && characteristic.notifying) {
+        characteristic.value = new DataView(message.value);
+        characteristic.dispatchEvent(new Event("characteristicvaluechanged"));
+      }
+    }
+  }
+
+  settle(request, error, value) {
+    const pending = this.pending.get(request);
+    if (!pending) {
+      return;
+    }
+    this.pending.delete(request);
+    clearTimeout(pending.timer);
+    if (error) {
+      pending.reject(new DOMException(error, "NotSupportedError"));
+    } else {
+      pending.resolve(value);
+    }
+  }
+
+  handleDisconnect() {
+    if (!this.gatt.connected) {
+      return;
+    }
+    this.gatt.connected = false;
+    this.pending.forEach((pending) => {
+      clearTimeout(pending.timer);
+      pending.reject(
+        new DOMException("Simulated device disconnected.", "NetworkError")
+      );
+    });
+    this.pending.clear();
+    this.characteristics.forEach((characteristic) => {
+      characteristic.notifying = false;
+    });
+    this.dispatchEvent(new Event("gattserverdisconnected"));
+  }
+}
+
+class SimulatedGattServer {
+  constructor(device) {
+    this.device = device;
+    this.connected = false;
+  }
+
+  connect() {
+    const device = this.device;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        device.pending.delete("connect");
+        reject(
+          new DOMException("Simulated device did not respond.", "NetworkError")
+        );
+      }, SIMULATED_BLE_TIMEOUT_MS);
+      device.pending.set("connect", {
+        resolve: () => {
+          this.connected = true;
+          resolve(this);
+        },
+        reject: reject,
+        timer: timer,
+      });
+      device.post({ type: "connect" });
+    });
+  }
+
+  disconnect() {
+    if (this.connected) {
+      this.device.post({ type: "disconnect" });
+      this.device.handleDisconnect();
+    }
+  }
+
+  async getPrimaryService(uuid) {
+    if (!this.connected) {
+      throw new DOMException("GATT Server is disconnected.", "NetworkError");
+    }
+    if (!this.device.services.includes(uuid)) {
+      throw new DOMException(
+        "No Services matching UUID " + uuid,
+        "NotFoundError"
+      );
+    }
+    return new SimulatedGattService(this.device, uuid);
+  }
+}
+
+class SimulatedGattService {
+  constructor(device, uuid) {
+    this.device = device;
+    this.uuid = uuid;
+  }
+
+  async getCharacteristic(uuid) {
+    const characteristics = this.device.characteristics;
+    if (!characteristics.has(uuid)) {
+      characteristics.set(uuid, new SimulatedCharacteristic(this, uuid));
+    }
+    return characteristics.get(uuid);
+  }
+}
+
+class SimulatedCharacteristic extends EventTarget {
+  constructor(service, uuid) {
+    super();
+    this.service = service;
+    this.uuid = uuid;
+    this.value = null;
+    this.notifying = false;
+    this.properties = {
+      read: true,
+      write: true,
+      writeWithoutResponse: true,
+      notify: true,
+    };
+  }
+
+  async readValue() {
+    const value = await this.service.device.request({
+      type: "read",
+      uuid: this.uuid,
+    });
+    this.value = new DataView(value);
+    return this.value;
+  }
+
+  write(value, response) {
+    const bytes = ArrayBuffer.isView(value)
+      ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+      : new Uint8Array(value);
+    const message = {
+      type: "write",
+      uuid: this.uuid,
+      value: bytes.slice().buffer,
+    };
+    const device = this.service.device;
+    if (!device.gatt.connected) {
+      return Promise.reject(
+        new DOMException("GATT Server is disconnected.", "NetworkError")
+      );
+    }
+    if (!response) {
+      device.post({ ...message, response: false });
+      return Promise.resolve();
+    }
+    return device.request({ ...message, response: true }).then(() => undefined);
+  }
+
+  writeValue(value) {
+    return this.write(value, true);
+  }
+
+  writeValueWithResponse(value) {
+    return this.write(value, true);
+  }
+
+  writeValueWithoutResponse(value) {
+    return this.write(value, false);
+  }
+
+  async startNotifications() {
+    this.notifying = true;
+    this.service.device.post({
+      type: "notifications",
+      uuid: this.uuid,
+      enabled: true,
+    });
+    return this;
+  }
+
+  async stopNotifications() {
+    this.notifying = false;
+    this.service.device.post({
+      type: "notifications",
+      uuid: this.uuid,
+      enabled: false,
+    });
+    return this;
+  }
+}
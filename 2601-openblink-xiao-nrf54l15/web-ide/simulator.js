@@ -0,0 +1,139 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/*
+ * Embedded mruby/c simulator
+ * Runs bytecode compiled in the editor on the mruby/c WASM VM and the board
+ * UI of the Web Simulator, so programs can be tested without a device.
+ */
+const SIMULATOR_BASE_PATH = "../web-simulator/";
+const SIMULATOR_BOARD_ID = "xiao-nrf54l15";
+
+let simulatorModule = null;
+let simulatorController = null;
+let simulatorLoading = null;
+let simulatorBoardLoader = null;
+let simulatorApiRegistrar = null;
+let simulatorRunning = false;
+
+// The VM writes partial lines; the console reassembles them (console.js)
+function appendSimulatorOutput(text) {
+  deviceConsole.receive("simulator", text);
+}
+
+function flushSimulatorOutput() {
+  deviceConsole.flush("simulator");
+}
+
+// Called after bytecode is loaded but before execution, so symbol IDs match
+function registerSimulatorAPI(module) {
+  if (module === simulatorModule && simulatorApiRegistrar) {
+    simulatorApiRegistrar.register(module, simulatorBoardLoader.getBoardAPI());
+  }
+}
+
+function loadSimulator() {
+  if (!simulatorLoading) {
+    simulatorLoading = (async () => {
+      appendToConsole("Loading simulator...");
+      simulatorBoardLoader = new BoardLoader(SIMULATOR_BASE_PATH);
+      await simulatorBoardLoader.discoverBoards();
+      await simulatorBoardLoader.loadScript(
+        SIMULATOR_BASE_PATH + "mrubyc/mrubyc.js"
+      );
+
+      simulatorController = new VMController({
+        wasmPath: SIMULATOR_BASE_PATH + "mrubyc/mrubyc.wasm",
+        onOutput: appendSimulatorOutput,
+        onError: appendSimulatorOutput,
+        onTaskCreated: registerSimulatorAPI,
+      });
+      const module = await simulatorController.createModule();
+
+      const boardUIContainer = document.getElementById("simulator-board");
+      const success = await simulatorBoardLoader.switchBoard(
+        SIMULATOR_BOARD_ID,
+        boardUIContainer
+      );
+      if (!success) {
+        const error = simulatorBoardLoader.getLastError();
+        throw new Error(
+          "Failed to load board: " +
+            SIMULATOR_BOARD_ID +
+            (error ? " (" + error.message + ")" : "")
+        );
+      }
+
+      simulatorApiRegistrar = new ApiRegistrar();
+      simulatorModule = module;
+      appendToConsole("Simulator ready.");
+    })();
+    simulatorLoading.catch(() => {
+      simulatorLoading = null;
+    });
+  }
+  return simulatorLoading;
+}
+
+async function runInSimulator(mrbContent) {
+  if (simulatorRunning) {
+    appendToConsole("Simulator is already running.");
+    return;
+  }
+
+  const runSimulatorButton = document.getElementById("run-simulator");
+  const stopSimulatorButton = document.getElementById("stop-simulator");
+  simulatorRunning = true;
+  runSimulatorButton.disabled = true;
+  document.getElementById("simulator").hidden = false;
+
+  let module = null;
+  let bytecodePtr = 0;
+  try {
+    await loadSimulator();
+    simulatorBoardLoader.getBoardUI().resetPixels();
+
+    module = simulatorModule;
+    bytecodePtr = module._malloc(mrbContent.length);
+    if (!bytecodePtr) {
+      throw new Error("Memory allocation failed in WebAssembly module.");
+    }
+    new Uint8Array(module.wasmMemory.buffer).set(mrbContent, bytecodePtr);
+
+    appendToConsole("Running in simulator...");
+    stopSimulatorButton.disabled = false;
+    const outcome = await simulatorController.run(
+      bytecodePtr,
+      mrbContent.length
+    );
+    flushSimulatorOutput();
+    if (outcome.stopped) {
+      appendToConsole("Simulator stopped.");
+      // The stopped VM stays suspended, so continue on a new module
+      simulatorApiRegistrar.cleanup(module);
+      simulatorModule = await simulatorController.createModule();
+      simulatorBoardLoader.getBoardUI().resetPixels();
+    } else {
+      appendToConsole("Simulator finished (return: " + outcome.result + ")");
+    }
+  } catch (error) {
+    flushSimulatorOutput();
+    appendToConsole("Simulator Error: " + error.message);
+  } finally {
+    if (bytecodePtr) {
+      module._free(bytecodePtr);
+    }
+    simulatorRunning = false;
+    runSimulatorButton.disabled = false;
+    stopSimulatorButton.disabled = true;
+  }
+}
+
+function stopSimulator() {
+  if (simulatorRunning && simulatorController) {
+    document.getElementById("stop-simulator").disabled = true;
+    simulatorController.stop();
+  }
+}
@@ -0,0 +1,35 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+// Runs WebIDE scripts in one context, as index.html does with its <script>
+// tags, and returns a function that evaluates expressions in it. Top-level
+// classes and constants are only reachable that way.
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+function loadScripts(names) {
+  const context = vm.createContext({
+    EventTarget,
+    Event,
+    CustomEvent,
+    DOMException,
+    TextEncoder,
+    TextDecoder,
+    performance,
+    setTimeout,
+    clearTimeout,
+    console,
+  });
+  names.forEach((name) => {
+    const file = path.join(__dirname, "..", name);
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, {
+      filename: file,
+    });
+  });
+  return (expression) => vm.runInContext(expression, context);
+}
+
+module.exports = { loadScripts };
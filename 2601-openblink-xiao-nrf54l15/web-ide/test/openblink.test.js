@@ -0,0 +1,319 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+// node --test web-ide/test
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts");
+
+const run = loadScripts(["crc.js", "transport.js", "openblink.js"]);
+const MockTransport = run("MockTransport");
+const FirmwareTransfer = run("FirmwareTransfer");
+const crc16 = (bytes) => run("crc16_reflect")(0xd175, 0xffff, bytes);
+
+function program(length) {
+  return Uint8Array.from({ length: length }, (_, i) => (i * 7) % 256);
+}
+
+// A device that keeps data packets received in order and answers status
+// reads in v2 (or not at all with `v1`). `lose(offset)` drops a data packet
+// as a lossy link would; `fail(offset)` makes its write reject. `checking`
+// status reads after a program packet still report it as being received.
+function createDevice(options = {}) {
+  const device = {
+    data: new Uint8Array(4096),
+    received: 0,
+    result: 0,
+    checking: 0,
+    reloads: [],
+  };
+  device.transport = new MockTransport({
+    mtu: options.mtu || 64,
+    deviceInfo: options.deviceInfo,
+    onRead: options.v1
+      ? undefined
+      : () => {
+          const view = new DataView(new ArrayBuffer(12));
+          view.setUint8(0, 0x02);
+          view.setUint8(1, "S".charCodeAt(0));
+          view.setUint32(2, device.received, true);
+          view.setUint8(6, device.checking > 0 ? 0 : device.result);
+          device.checking--;
+          view.setUint32(8, device.data.length, true);
+          return view.buffer;
+        },
+    onWrite: (packet) => {
+      const view = new DataView(packet.buffer);
+      const version = packet[0];
+      const command = String.fromCharCode(packet[1]);
+      if (command === "D") {
+        const v2 = version === 0x02;
+        const offset = v2 ? view.getUint32(2, true) : view.getUint16(2, true);
+        const size = view.getUint16(v2 ? 6 : 4, true);
+        if (options.fail && options.fail(offset)) {
+          throw new Error("Link lost");
+        }
+        if (options.lose && options.lose(offset)) {
+          return;
+        }
+        if (offset === device.received) {
+          device.data.set(packet.subarray(v2 ? 8 : 6), offset);
+          device.received += size;
+        }
+        device.result = 0;
+      } else if (command === "P") {
+        const v2 = version === 0x02;
+        const length = v2 ? view.getUint32(2, true) : view.getUint16(2, true);
+        const crc = view.getUint16(v2 ? 6 : 4, true);
+        device.result =
+          device.received !== length
+            ? 3
+            : crc16(device.data.subarray(0, length)) !== crc
+            ? 2
+            : 1;
+        device.received = 0;
+        device.checking = options.checking || 0;
+      } else if (command === "L") {
+        device.reloads.push(packet.length > 2 ? packet[2] : "boot");
+      }
+    },
+  });
+  device.transport.connect();
+  return device;
+}
+
+function dataOffsets(transport) {
+  return Array.from(transport.packets)
+    .filter((packet) => packet[1] === "D".charCodeAt(0))
+    .map((packet) => new DataView(packet.buffer).getUint32(2, true));
+}
+
+test("v1 devices get v1 packets and a reload of their boot slot", async () => {
+  const device = createDevice({ v1: true });
+  const content = program(150);
+  const log = [];
+  const verified = await run("sendFirmware")(
+    device.transport,
+    content,
+    (message) => log.push(message)
+  );
+
+  assert.equal(verified, false);
+  const packets = Array.from(device.transport.packets, (packet) =>
+    Array.from(packet)
+  );
+  // 58 bytes of payload after the 6-byte v1 header
+  assert.deepEqual(
+    packets.slice(0, 3).map((packet) => [packet[0], packet[1], packet.length]),
+    [
+      [0x01, 0x44, 64],
+      [0x01, 0x44, 64],
+      [0x01, 0x44, 40],
+    ]
+  );
+  const crc = crc16(content);
+  assert.deepEqual(packets[3], [
+    0x01,
+    0x50,
+    150,
+    0,
+    crc & 0xff,
+    crc >> 8,
+    2,
+    0,
+  ]);
+  assert.deepEqual(packets[4], [0x01, 0x4c]);
+  assert.ok(
+    log.includes(
+      "CRC16 not verified: the device does not report program status"
+    )
+  );
+});
+
+test("v2 transfers are verified and run the uploaded slot", async () => {
+  const device = createDevice({
+    deviceInfo: { protocols: [1, 2], slots: 2 },
+  });
+  const content = program(1000);
+  const transfer = new FirmwareTransfer(content, 1);
+  const progress = [];
+  const verified = await transfer.run(device.transport, () => {}, {
+    deviceInfo: await run("readDeviceInfo")(device.transport),
+    onProgress: (event) => progress.push(event.sent),
+  });
+
+  assert.equal(verified, true);
+  assert.equal(transfer.version, 0x02);
+  assert.deepEqual(
+    Array.from(device.data.subarray(0, 1000)),
+    Array.from(content)
+  );
+  assert.deepEqual(device.reloads, [1]);
+  assert.equal(progress[0], 0);
+  assert.equal(progress[progress.length - 1], 1000);
+});
+
+test("lost packets are resent from the offset the device reports", async () => {
+  let lost = false;
+  const device = createDevice({
+    lose: (offset) => offset === 112 && !lost && (lost = true),
+  });
+  const content = program(1000);
+  const log = [];
+  const verified = await new FirmwareTransfer(content, 2).run(
+    device.transport,
+    (message) => log.push(message)
+  );
+
+  assert.equal(verified, true);
+  assert.ok(log.includes("Device received 112 bytes, resending from there"));
+  const offsets = dataOffsets(device.transport);
+  // Window of 8 packets of 56 bytes, then the rest of it again
+  assert.deepEqual(offsets.slice(7, 9), [392, 112]);
+});
+
+test("a failed transfer resumes where the device stopped", async () => {
+  let failed = false;
+  const device = createDevice({
+    fail: (offset) => offset === 560 && !failed && (failed = true),
+  });
+  const content = program(1000);
+  const transfer = new FirmwareTransfer(content, 2);
+  await assert.rejects(
+    transfer.run(device.transport, () => {}),
+    /Link lost/
+  );
+  assert.equal(transfer.confirmed, 448);
+
+  device.transport.packets = [];
+  const log = [];
+  const verified = await transfer.run(device.transport, (message) =>
+    log.push(message)
+  );
+  assert.equal(verified, true);
+  assert.ok(log.includes("Resuming transfer at offset 560"));
+  assert.equal(dataOffsets(device.transport)[0], 560);
+  assert.deepEqual(
+    Array.from(device.data.subarray(0, 1000)),
+    Array.from(content)
+  );
+});
+
+test("NetworkError writes are retried", async () => {
+  let failures = 0;
+  const device = createDevice({
+    fail: (offset) => {
+      if (offset === 0 && failures < 2) {
+        failures++;
+        return true;
+      }
+      return false;
+    },
+  });
+  // MockTransport passes on what onWrite throws
+  const write = device.transport.write.bind(device.transport);
+  device.transport.write = (buffer, response) =>
+    write(buffer, response).catch((error) => {
+      throw error.message === "Link lost"
+        ? new DOMException("Write failed", "NetworkError")
+        : error;
+    });
+  const verified = await new FirmwareTransfer(program(100), 2).run(
+    device.transport,
+    () => {}
+  );
+  assert.equal(verified, true);
+  assert.equal(failures, 2);
+});
+
+test("programs the device rejects fail and start over", async () => {
+  const device = createDevice();
+  const content = program(1000);
+  const transfer = new FirmwareTransfer(content, 2);
+  transfer.crc16 ^= 1;
+  await assert.rejects(
+    transfer.run(device.transport, () => {}),
+    /Device rejected the program: CRC16 mismatch/
+  );
+  assert.equal(transfer.confirmed, 0);
+  assert.deepEqual(device.reloads, []);
+});
+
+test("programs the device is still checking are polled", async () => {
+  const device = createDevice({ checking: 3 });
+  const verified = await new FirmwareTransfer(program(100), 2).run(
+    device.transport,
+    () => {}
+  );
+  assert.equal(verified, true);
+  assert.deepEqual(device.reloads, [2]);
+
+  const stalled = createDevice({ checking: Infinity });
+  await assert.rejects(
+    new FirmwareTransfer(program(100), 2).run(stalled.transport, () => {}),
+    /Device did not confirm the program within 2000 ms/
+  );
+  assert.deepEqual(stalled.reloads, []);
+});
+
+test("slots and lengths the device cannot hold are refused", async () => {
+  const device = createDevice();
+  const readDeviceInfo = run("readDeviceInfo");
+  device.transport.deviceInfo = { protocols: [2], slots: 2, capacity: 500 };
+
+  await assert.rejects(
+    new FirmwareTransfer(program(100), 3).run(device.transport, () => {}, {
+      deviceInfo: await readDeviceInfo(device.transport),
+    }),
+    /Slot 3 does not exist; the device has 2 slots/
+  );
+  await assert.rejects(
+    new FirmwareTransfer(program(600), 1).run(device.transport, () => {}, {
+      deviceInfo: await readDeviceInfo(device.transport),
+    }),
+    /the device accepts at most 500 bytes \(protocol v2\)/
+  );
+  assert.equal(device.transport.packets.length, 0);
+});
+
+test("devices speaking no common protocol are refused", () => {
+  assert.throws(
+    () => run("negotiateProtocol")({ protocols: [3], capacity: null }, null),
+    /The device speaks protocol 3; this WebIDE supports 1, 2/
+  );
+});
+
+test("readStatus parses v1 and v2 statuses with their slots", async () => {
+  const readStatus = run("readStatus");
+  const status = (bytes) =>
+    readStatus(
+      new MockTransport({ onRead: () => Uint8Array.from(bytes).buffer })
+    );
+
+  assert.deepEqual(
+    { ...(await status([0x01, 0x53, 0x10, 0x00, 0x01, 0x00])) },
+    {
+      version: 1,
+      received: 16,
+      result: 1,
+      capacity: null,
+      bootSlot: null,
+      slots: null,
+    }
+  );
+  const v2 = await status([
+    0x02, 0x53, 0, 1, 0, 0, 1, 0, 0, 0, 1, 0, 2, 2, 4, 0, 0, 0, 0x34, 0x12,
+  ]);
+  assert.equal(v2.received, 256);
+  assert.equal(v2.capacity, 65536);
+  assert.equal(v2.bootSlot, 2);
+  // Only slots whose entry arrived in full are listed
+  assert.deepEqual(
+    Array.from(v2.slots, (slot) => ({ ...slot })),
+    [{ slot: 1, length: 4, crc16: 0x1234 }]
+  );
+  assert.equal(await status([0x02, 0x53, 0, 0]), null);
+  assert.equal(await readStatus(new MockTransport()), null);
+});
@@ -0,0 +1,118 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts");
+
+const run = loadScripts(["transport.js"]);
+const SerialTransport = run("SerialTransport");
+const MockTransport = run("MockTransport");
+
+// A Web Serial port whose reader, like a browser's, settles cancel() before
+// the pending read() and refuses to close while the reader is locked
+function createPort() {
+  const port = { locked: false, opened: false, written: [], pending: null };
+  const reader = {
+    read: () => new Promise((resolve) => (port.pending = resolve)),
+    cancel: async () => {
+      const pending = port.pending;
+      setTimeout(() => pending({ value: undefined, done: true }), 10);
+    },
+    releaseLock: () => (port.locked = false),
+  };
+  Object.assign(port, {
+    open: async () => (port.opened = true),
+    readable: {
+      getReader: () => {
+        port.locked = true;
+        return reader;
+      },
+    },
+    writable: {
+      getWriter: () => ({
+        write: async (frame) => port.written.push(Array.from(frame)),
+        releaseLock: () => {},
+      }),
+    },
+    close: async () => {
+      if (port.locked) {
+        throw new TypeError("Cannot close a port with a locked readable");
+      }
+      port.opened = false;
+    },
+  });
+  return port;
+}
+
+test("serial packets are framed with their length", async () => {
+  const port = createPort();
+  const transport = await new SerialTransport(port).connect();
+  await transport.write(Uint8Array.of(0x01, 0x4c));
+  assert.deepEqual(port.written, [[2, 0, 0x01, 0x4c]]);
+  await assert.rejects(transport.write(new Uint8Array(transport.mtu + 1)), {
+    name: "RangeError",
+    message: "Packet exceeds the MTU",
+  });
+  await transport.disconnect();
+});
+
+test("serial disconnect closes the port once reading stopped", async () => {
+  const port = createPort();
+  const transport = await new SerialTransport(port).connect();
+  let disconnects = 0;
+  transport.addEventListener("disconnect", () => disconnects++);
+
+  await transport.disconnect();
+  assert.equal(port.opened, false);
+  assert.equal(transport.connected, false);
+  assert.equal(disconnects, 1);
+
+  // The port can be opened again
+  await transport.connect();
+  assert.equal(port.opened, true);
+  await transport.disconnect();
+  assert.equal(disconnects, 2);
+});
+
+test("a serial port that ends its stream is closed", async () => {
+  const port = createPort();
+  const transport = await new SerialTransport(port).connect();
+  const disconnected = new Promise((resolve) =>
+    transport.addEventListener("disconnect", resolve)
+  );
+  port.pending({ value: Uint8Array.of(0x6f, 0x6b), done: false });
+  const output = new Promise((resolve) =>
+    transport.addEventListener("console", (event) => resolve(event.detail))
+  );
+  assert.deepEqual(Array.from(await output), [0x6f, 0x6b]);
+
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  port.pending({ value: undefined, done: true });
+  await disconnected;
+  assert.equal(port.opened, false);
+  assert.equal(transport.connected, false);
+});
+
+test("MockTransport records the packets it accepts", async () => {
+  const written = [];
+  const transport = new MockTransport({
+    mtu: 4,
+    onWrite: (packet, response) => written.push(response),
+  });
+  await assert.rejects(transport.write(Uint8Array.of(1)), {
+    name: "NetworkError",
+  });
+  await transport.connect();
+  await transport.write(Uint8Array.of(1, 2), true);
+  await assert.rejects(transport.write(new Uint8Array(5)), {
+    name: "RangeError",
+  });
+  assert.deepEqual(
+    Array.from(transport.packets, (p) => Array.from(p)),
+    [[1, 2]]
+  );
+  assert.deepEqual(written, [true]);
+});
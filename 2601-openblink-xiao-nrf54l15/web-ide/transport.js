@@ -0,0 +1,389 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/*
+ * Transports
+ * Carry OpenBlink packets to a device and console output back. Every
+ * transport is an EventTarget with the same interface:
+ *
+ *   name                     device name, known after connect()
+ *   mtu                      largest packet write() accepts, in bytes
+ *   connect()                resolves with the transport once packets can be
+ *                            written; may be called again after a disconnect
+ *   write(buffer, response)  sends one packet; waits for the device to accept
+ *                            it if response is true and the link can tell
+ *   read()                   resolves with a DataView of the program status
+ *                            (see openblink.js); rejects with NotSupportedError
+ *                            if the link or the device cannot report it
+ *   readDeviceInfo()         resolves with a DataView of the device info JSON
+ *                            (see openblink.js); rejects with NotSupportedError
+ *                            likewise
+ *   disconnect()             closes the link
+ *
+ *   "console" event          CustomEvent whose detail is a Uint8Array of output
+ *   "disconnect" event       the link was closed by either side
+ */
+const OPENBLINK_SERVICE_UUID = "227da52c-e13a-412b-befb-ba2256bb7fbe";
+const OPENBLINK_PROGRAM_CHARACTERISTIC_UUID =
+  "ad9fdd56-1135-4a84-923c-ce5a244385e7";
+const OPENBLINK_CONSOLE_CHARACTERISTIC_UUID =
+  "a015b3de-185a-4252-aa04-7a87d38ce148";
+const OPENBLINK_NEGOTIATED_MTU_CHARACTERISTIC_UUID =
+  "ca141151-3113-448b-b21a-6a6203d253ff";
+const OPENBLINK_DEVICE_INFO_CHARACTERISTIC_UUID =
+  "5e3a8f1c-7b2d-4c96-a0e4-9d81b6f2c735";
+const DEFAULT_MTU = 20;
+const REQUESTED_MTU = 512;
+// Packet size for links without an MTU of their own, as the firmware's BLE link
+const STREAM_MTU = 244;
+
+function toBytes(buffer) {
+  return ArrayBuffer.isView(buffer)
+    ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    : new Uint8Array(buffer);
+}
+
+class Transport extends EventTarget {
+  constructor(mtu) {
+    super();
+    this.name = "";
+    this.mtu = mtu;
+    this.connected = false;
+  }
+
+  async read() {
+    throw new DOMException(
+      "Status reads are not supported.",
+      "NotSupportedError"
+    );
+  }
+
+  async readDeviceInfo() {
+    throw new DOMException(
+      "Device info is not supported.",
+      "NotSupportedError"
+    );
+  }
+
+  receive(bytes) {
+    this.dispatchEvent(new CustomEvent("console", { detail: bytes }));
+  }
+
+  closed() {
+    if (this.connected) {
+      this.connected = false;
+      this.dispatchEvent(new Event("disconnect"));
+    }
+  }
+}
+
+// Web Bluetooth, or a simulated device from simulated-ble.js
+class BleTransport extends Transport {
+  constructor(device) {
+    super(DEFAULT_MTU);
+    this.device = device;
+    this.name = device.name;
+    this.programCharacteristic = null;
+    this.negotiatedMtuCharacteristic = null;
+    this.consoleCharacteristic = null;
+    this.deviceInfoCharacteristic = null;
+    this.onConsoleValue = (event) => {
+      const value = event.target.value;
+      this.receive(
+        new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+      );
+    };
+    device.addEventListener("gattserverdisconnected", () => this.closed());
+  }
+
+  async connect() {
+    if (this.consoleCharacteristic) {
+      // Reconnecting: the characteristics may be the same objects as before
+      this.consoleCharacteristic.removeEventListener(
+        "characteristicvaluechanged",
+        this.onConsoleValue
+      );
+    }
+    const server = await this.device.gatt.connect();
+    console.log("Connected to GATT server");
+    const service = await server.getPrimaryService(OPENBLINK_SERVICE_UUID);
+    console.log("Got service:", service);
+    [
+      this.consoleCharacteristic,
+      this.programCharacteristic,
+      this.negotiatedMtuCharacteristic,
+    ] = await Promise.all([
+      service.getCharacteristic(OPENBLINK_CONSOLE_CHARACTERISTIC_UUID),
+      service.getCharacteristic(OPENBLINK_PROGRAM_CHARACTERISTIC_UUID),
+      service.getCharacteristic(OPENBLINK_NEGOTIATED_MTU_CHARACTERISTIC_UUID),
+    ]);
+    // Older firmware has no device info characteristic
+    this.deviceInfoCharacteristic = await service
+      .getCharacteristic(OPENBLINK_DEVICE_INFO_CHARACTERISTIC_UUID)
+      .catch(() => null);
+    this.connected = true;
+    await this.negotiateMTU();
+
+    this.consoleCharacteristic.addEventListener(
+      "characteristicvaluechanged",
+      this.onConsoleValue
+    );
+    await this.consoleCharacteristic.startNotifications();
+    return this;
+  }
+
+  async negotiateMTU() {
+    const gattServer = this.device.gatt;
+    if (gattServer.requestMTU) {
+      try {
+        this.mtu = await gattServer.requestMTU(REQUESTED_MTU);
+        console.log(`Negotiated MTU: ${this.mtu}`);
+      } catch (error) {
+        console.warn(
+          `MTU negotiation failed. Using default MTU: ${DEFAULT_MTU}`
+        );
+        this.mtu = DEFAULT_MTU;
+      }
+    } else {
+      try {
+        const valueDataView =
+          await this.negotiatedMtuCharacteristic.readValue();
+        const devicemtu = valueDataView.getUint16(0, true);
+        this.mtu = devicemtu - 3;
+        console.log("Device negotiated MTU(uint16):", devicemtu);
+      } catch (error) {
+        console.error("Device negotiated MTU Error:", error);
+      }
+      console.log(
+        `MTU negotiation not supported. Using device's negotiated MTU: ${this.mtu}`
+      );
+    }
+  }
+
+  write(buffer, response) {
+    const characteristic = this.programCharacteristic;
+    if (response) {
+      return characteristic.writeValue(buffer);
+    }
+    if (characteristic.properties.writeWithoutResponse) {
+      return characteristic.writeValueWithoutResponse(buffer);
+    }
+    console.log("writeWithoutResponse がサポートされていません。");
+    return characteristic.writeValue(buffer);
+  }
+
+  read() {
+    if (!this.programCharacteristic.properties.read) {
+      return super.read();
+    }
+    return this.programCharacteristic.readValue();
+  }
+
+  readDeviceInfo() {
+    if (!this.deviceInfoCharacteristic) {
+      return super.readDeviceInfo();
+    }
+    return this.deviceInfoCharacteristic.readValue();
+  }
+
+  async disconnect() {
+    this.device.gatt.disconnect();
+    this.closed();
+  }
+}
+
+// Web Serial, for firmware or a bridge that frames each packet with its
+// length as a little-endian u16; everything the device sends is console output
+class SerialTransport extends Transport {
+  constructor(port, options) {
+    super((options && options.mtu) || STREAM_MTU);
+    this.port = port;
+    this.baudRate = (options && options.baudRate) || 115200;
+    this.name = "Serial port";
+    this.writer = null;
+    this.reader = null;
+    // readLoop(), which settles once the reader is released
+    this.reading = null;
+  }
+
+  async connect() {
+    await this.port.open({ baudRate: this.baudRate });
+    const info = this.port.getInfo ? this.port.getInfo() : {};
+    if (info.usbVendorId !== undefined) {
+      this.name = `Serial port (USB ${info.usbVendorId.toString(16)}:${(
+        info.usbProductId || 0
+      ).toString(16)})`;
+    }
+    this.writer = this.port.writable.getWriter();
+    this.connected = true;
+    this.reading = this.readLoop();
+    return this;
+  }
+
+  async readLoop() {
+    this.reader = this.port.readable.getReader();
+    try {
+      for (;;) {
+        const { value, done } = await this.reader.read();
+        if (done) {
+          break;
+        }
+        this.receive(value);
+      }
+    } catch (error) {
+      console.error("Serial read Error:", error);
+    } finally {
+      this.reader.releaseLock();
+      this.reader = null;
+      if (this.connected) {
+        // The device went away: close the port so connect() can open it again
+        this.writer.releaseLock();
+        this.writer = null;
+        await this.port.close().catch(() => {});
+        this.closed();
+      }
+    }
+  }
+
+  write(buffer) {
+    const bytes = toBytes(buffer);
+    if (bytes.length > this.mtu) {
+      return Promise.reject(new RangeError("Packet exceeds the MTU"));
+    }
+    const frame = new Uint8Array(2 + bytes.length);
+    new DataView(frame.buffer).setUint16(0, bytes.length, true);
+    frame.set(bytes, 2);
+    return this.writer.write(frame);
+  }
+
+  async disconnect() {
+    if (!this.connected) {
+      return;
+    }
+    this.connected = false;
+    if (this.reader) {
+      await this.reader.cancel();
+    }
+    // cancel() settles before readLoop() releases the reader, and the port
+    // cannot close while the reader is locked
+    await this.reading;
+    this.writer.releaseLock();
+    this.writer = null;
+    await this.port.close();
+    this.dispatchEvent(new Event("disconnect"));
+  }
+}
+
+// WebSocket bridge: each binary message is one packet; text or binary
+// messages from the bridge are console output
+class WebSocketTransport extends Transport {
+  constructor(url, options) {
+    super((options && options.mtu) || STREAM_MTU);
+    this.url = url;
+    this.name = url;
+    this.socket = null;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      socket.binaryType = "arraybuffer";
+      socket.addEventListener("open", () => {
+        this.socket = socket;
+        this.connected = true;
+        resolve(this);
+      });
+      socket.addEventListener("message", (event) => {
+        this.receive(
+          typeof event.data === "string"
+            ? new TextEncoder().encode(event.data)
+            : new Uint8Array(event.data)
+        );
+      });
+      socket.addEventListener("close", () => {
+        if (this.socket !== socket) {
+          reject(
+            new DOMException(`Cannot connect to ${this.url}`, "NetworkError")
+          );
+          return;
+        }
+        this.closed();
+      });
+    });
+  }
+
+  async write(buffer) {
+    if (!this.connected) {
+      throw new DOMException("WebSocket is closed.", "NetworkError");
+    }
+    this.socket.send(toBytes(buffer).slice());
+  }
+
+  async disconnect() {
+    if (this.socket) {
+      this.socket.close();
+    }
+    this.closed();
+  }
+}
+
+// In-memory transport for tests: records every packet in `packets` and
+// passes it to `options.onWrite`, which may throw to simulate a failed write
+// or call emit() to answer with console output; `options.onRead` returns the
+// program status as an ArrayBuffer and `options.deviceInfo` is the device
+// info object
+class MockTransport extends Transport {
+  constructor(options) {
+    super((options && options.mtu) || STREAM_MTU);
+    this.name = (options && options.name) || "Mock device";
+    this.onWrite = options && options.onWrite;
+    this.onRead = options && options.onRead;
+    this.deviceInfo = options && options.deviceInfo;
+    this.packets = [];
+  }
+
+  async connect() {
+    this.connected = true;
+    return this;
+  }
+
+  async write(buffer, response) {
+    if (!this.connected) {
+      throw new DOMException("Mock device is disconnected.", "NetworkError");
+    }
+    const packet = toBytes(buffer).slice();
+    if (packet.length > this.mtu) {
+      throw new RangeError("Packet exceeds the MTU");
+    }
+    this.packets.push(packet);
+    if (this.onWrite) {
+      await this.onWrite(packet, response);
+    }
+  }
+
+  async read() {
+    if (!this.onRead) {
+      return super.read();
+    }
+    return new DataView(await this.onRead());
+  }
+
+  async readDeviceInfo() {
+    if (!this.deviceInfo) {
+      return super.readDeviceInfo();
+    }
+    return new DataView(
+      new TextEncoder().encode(JSON.stringify(this.deviceInfo)).buffer
+    );
+  }
+
+  emit(text) {
+    this.receive(new TextEncoder().encode(text));
+  }
+
+  async disconnect() {
+    this.closed();
+  }
+}
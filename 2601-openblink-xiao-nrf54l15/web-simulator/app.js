@@ -2,9 +2,12 @@
  * mruby/c WebAssembly Simulator - Application JavaScript
 */
 
-let mrubycModule = null;
+let device = null;
+let vmController = null;
 let isRunning = false;
 let boardLoader = null;
+let rubyCompiler = null;
+let errorLines = [];
 
 const statusIndicator = document.getElementById('statusIndicator');
 const statusText = document.getElementById('statusText');
@@ -12,13 +15,60 @@ const versionInfo = document.getElementById('versionInfo');
 const output = document.getElementById('output');
 const runSampleBtn = document.getElementById('runSampleBtn');
 const runCustomBtn = document.getElementById('runCustomBtn');
+const stopBtn = document.getElementById('stopBtn');
+const pauseBtn = document.getElementById('pauseBtn');
+const stepBtn = document.getElementById('stepBtn');
+const stepTicks = document.getElementById('stepTicks');
+const timeScale = document.getElementById('timeScale');
+const virtualTime = document.getElementById('virtualTime');
+const warnMissingUpdate = document.getElementById('warnMissingUpdate');
+const compileRunBtn = document.getElementById('compileRunBtn');
 const clearBtn = document.getElementById('clearBtn');
 const showStatsBtn = document.getElementById('showStatsBtn');
 const bytecodeFile = document.getElementById('bytecodeFile');
 const boardSelector = document.getElementById('boardSelector');
+const boardPackageFile = document.getElementById('boardPackageFile');
 const boardUIContainer = document.getElementById('boardUIContainer');
+const recordBtn = document.getElementById('recordBtn');
+const exportGifBtn = document.getElementById('exportGifBtn');
+const exportApngBtn = document.getElementById('exportApngBtn');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const frameCount = document.getElementById('frameCount');
+const addDeviceBtn = document.getElementById('addDeviceBtn');
+const runAllBtn = document.getElementById('runAllBtn');
+const stopAllBtn = document.getElementById('stopAllBtn');
+const deviceList = document.getElementById('deviceList');
+const peripheralStatus = document.getElementById('peripheralStatus');
+const peripheralSlots = document.getElementById('peripheralSlots');
 
 let customBytecode = null;
+let clockTimer = null;
+let missingUpdateWarned = false;
+const frameRecorder = new FrameRecorder();
+
+// Simulated OpenBlink BLE device the WebIDE connects to
+let peripheral = null;
+
+// Devices added next to the main one, each with its own VM, board and console
+const extraDevices = [];
+let nextDeviceNumber = 2;
+
+// Path to the mrbc compiler shipped with the WebIDE
+const MRBC_SCRIPT_PATH = '../web-ide/mrbc/mrbc.js';
+
+// Origins besides this page's that ?boardPackage= may load from without asking
+const TRUSTED_BOARD_PACKAGE_ORIGINS = [];
+
+// VM time a running program may set pixels without PIXELS.update before the warning
+const MISSING_UPDATE_WARNING_MS = 1000;
+
+const sourceEditor = CodeMirror.fromTextArea(document.getElementById('rubySource'), {
+  mode: 'ruby',
+  theme: 'dracula',
+  lineNumbers: true,
+  matchBrackets: true
+});
+sourceEditor.setValue(document.getElementById('sampleSource').textContent.replace(/^\n/, ''));
 
 function setStatus(status, text) {
   statusIndicator.className = 'status-indicator ' + status;
@@ -26,100 +76,261 @@ function setStatus(status, text) {
 }
 
 function appendOutput(text, className) {
+  appendTo(output, text, className);
+}
+
+function appendTo(area, text, className) {
   className = className || '';
   const span = document.createElement('span');
   if (className) span.className = className;
   span.textContent = text;
-  output.appendChild(span);
-  output.scrollTop = output.scrollHeight;
+  area.appendChild(span);
+  area.scrollTop = area.scrollHeight;
 }
 
 function clearOutput() {
   output.innerHTML = '';
 }
 
-window.mrubycOutput = function(text) {
-  appendOutput(text);
-};
-
-window.mrubycError = function(text) {
-  appendOutput(text, 'error');
-};
-
-// Callback called after bytecode is loaded but before execution
-// This is the right time to define board APIs so symbol IDs match
-window.mrubycOnTaskCreated = function() {
-  if (boardLoader && mrubycModule && typeof window.definePixelsAPI === 'function') {
-    window.definePixelsAPI(mrubycModule);
-  }
-};
-
 async function initModule() {
   try {
-    mrubycModule = await createMrubycModule();
-    
-    mrubycModule._mrbc_wasm_init();
+    device = new SimulatedDevice({
+      container: boardUIContainer,
+      onOutput: text => {
+        appendOutput(text);
+        if (peripheral) peripheral.notifyConsole(text);
+      },
+      onError: text => {
+        appendOutput(text, 'error');
+        if (peripheral) peripheral.notifyConsole(text);
+      },
+      onPause: onVMPaused,
+      onPixelsUpdate: recordPixels
+    });
+    vmController = device.controller;
+    boardLoader = device.boardLoader;
+    vmController.setTimeScale(parseFloat(timeScale.value));
+    await device.init();
     
     versionInfo.textContent = 'mruby/c module initialized';
     
-    // Initialize board loader
-    boardLoader = new BoardLoader();
-    
-    // Populate board selector
-    const boards = boardLoader.getAvailableBoards();
-    boards.forEach(board => {
-      const option = document.createElement('option');
-      option.value = board.id;
-      option.textContent = board.name;
-      boardSelector.appendChild(option);
-    });
-    
-    // Auto-select first board if available
-    if (boards.length > 0) {
-      boardSelector.value = boards[0].id;
-      await boardLoader.switchBoard(boards[0].id, boardUIContainer);
-      appendOutput('[INFO] Board loaded: ' + boards[0].name + '\n', 'info');
-    }
+    await initBoards();
+    initPeripheral();
     
     setStatus('ready', 'mruby/c module ready');
     runSampleBtn.disabled = false;
+    addDeviceBtn.disabled = false;
+    stopAllBtn.disabled = false;
     
     appendOutput('[INFO] mruby/c WebAssembly module loaded successfully.\n', 'info');
   } catch (error) {
     setStatus('error', 'Failed to load module: ' + error.message);
     appendOutput('[ERROR] Failed to load mruby/c module: ' + error.message + '\n', 'error');
+    return;
+  }
+
+  await initCompiler();
+}
+
+// Boards come from boards/index.json, a ?boardPackage=<url> parameter or a
+// dropped zip file; ?board=<id> selects the initial board
+async function initBoards() {
+  try {
+    const errors = await boardLoader.discoverBoards();
+    errors.forEach(reportBoardError);
+  } catch (error) {
+    reportBoardError(error);
+  }
+
+  const params = new URLSearchParams(window.location.search);
+  let boardId = params.get('board');
+  const packageUrl = params.get('boardPackage');
+  if (packageUrl) {
+    try {
+      // Anyone can link here, and the package's code would run on this page
+      const url = new URL(packageUrl, window.location.href).href;
+      if (!isTrustedPackageUrl(url, window.location.href, TRUSTED_BOARD_PACKAGE_ORIGINS) &&
+          !window.confirm('Load the board package from ' + url + '?\n\n' +
+            'It is not from this site, and its code will run on this page.')) {
+        throw new BoardPackageError('Board package from another site refused: ' + url);
+      }
+      const board = await boardLoader.loadPackageFromUrl(url);
+      appendOutput('[INFO] Board package loaded: ' + board.name + ' ' + board.version + '\n', 'info');
+      boardId = boardId || board.id;
+    } catch (error) {
+      reportBoardError(error);
+    }
+  }
+
+  updateBoardSelector();
+  const boards = boardLoader.getAvailableBoards();
+  if (boardId && !boards.some(board => board.id === boardId)) {
+    appendOutput('[ERROR] Board not found: ' + boardId + '\n', 'error');
+    boardId = null;
+  }
+  
+  // Auto-select first board if available
+  if (!boardId && boards.length > 0) {
+    boardId = boards[0].id;
+  }
+  if (boardId) {
+    await selectBoard(boardId);
+  }
+}
+
+// The simulator answers the WebIDE like an OpenBlink device on the same channel
+function initPeripheral() {
+  if (typeof BroadcastChannel === 'undefined') return;
+  let storage = null;
+  try {
+    storage = window.localStorage;
+  } catch (error) {
+    // Slots are kept for this page load only
+  }
+  peripheral = new OpenBlinkPeripheral({
+    port: new BroadcastChannel(OPENBLINK_LINK_CHANNEL),
+    storage: storage,
+    onReload: runFromPeripheral,
+    getBoard: () => (boardLoader.getCurrentBoard() ? boardLoader.getCurrentBoard().id : null),
+    onLog: text => {
+      appendOutput('[BLE] ' + text + '\n', 'info');
+      updatePeripheralStatus();
+    }
+  });
+  window.addEventListener('pagehide', () => peripheral.close());
+  updatePeripheralStatus();
+}
+
+function updatePeripheralStatus() {
+  peripheralStatus.textContent = peripheral.client ? 'Connected to WebIDE' : 'Waiting for WebIDE';
+  const slots = [...peripheral.slots].sort(([a], [b]) => a - b).map(([slot, program]) =>
+    slot + ' (' + program.length + ' bytes' + (slot === peripheral.bootSlot ? ', boot' : '') + ')');
+  peripheralSlots.textContent = slots.length > 0 ? slots.join(', ') : 'none';
+}
+
+// re[L]oad and [R]eset replace the running program, as on the device
+async function runFromPeripheral(bytecode, slot) {
+  await device.halt();
+  appendOutput('[BLE] Running slot ' + slot + ' (' + bytecode.length + ' bytes)\n', 'info');
+  runBytecode(bytecode);
+}
+
+function reportBoardError(error) {
+  appendOutput('[ERROR] ' + error.message + '\n', 'error');
+  (error.errors || []).forEach(problem => appendOutput('  - ' + problem + '\n', 'error'));
+}
+
+function updateBoardSelector() {
+  fillBoardOptions(boardSelector);
+  extraDevices.forEach(entry => fillBoardOptions(entry.boardSelect));
+}
+
+function fillBoardOptions(select) {
+  const selected = select.value;
+  select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+  boardLoader.getAvailableBoards().forEach(board => {
+    const option = document.createElement('option');
+    option.value = board.id;
+    option.textContent = board.version ? board.name + ' (' + board.version + ')' : board.name;
+    select.appendChild(option);
+  });
+  select.value = selected;
+}
+
+// formatVersion 1 boards share the page's globals, so a second device
+// showing one would drive the UI of the first; returns the name of the
+// device that already shows one, or null if boardId may be shown
+function classicBoardShownElsewhere(boardId, target) {
+  const isClassic = id => boardLoader.getAvailableBoards().some(board =>
+    board.id === id && !!board.manifest && board.manifest.formatVersion === 1);
+  if (!isClassic(boardId)) {
+    return null;
+  }
+  const devices = [{ device: device, name: 'the main device' },
+    ...extraDevices.map(entry => ({ device: entry.device, name: 'Device ' + entry.number }))];
+  const other = devices.find(entry => entry.device !== target &&
+    isClassic(entry.device.boardLoader.getCurrentBoardId()));
+  return other ? other.name : null;
+}
+
+async function selectBoard(boardId) {
+  const shownOn = classicBoardShownElsewhere(boardId, device);
+  if (shownOn) {
+    appendOutput('[ERROR] ' + boardId + ' is a formatVersion 1 board, and ' + shownOn +
+      ' already shows one; only one can be shown at a time.\n', 'error');
+    boardSelector.value = boardLoader.getCurrentBoardId() || '';
+    return false;
+  }
+  // Recorded frames follow the layout of the board they were recorded on
+  if (frameRecorder.isRecording()) {
+    frameRecorder.stop();
+    updateRecordingControls();
+  }
+  boardSelector.value = boardId;
+  const success = await device.selectBoard(boardId);
+  if (success) {
+    appendOutput('[INFO] Board loaded: ' + boardLoader.getCurrentBoard().name + '\n', 'info');
+  } else {
+    appendOutput('[ERROR] Failed to load board: ' + boardId + '\n', 'error');
+    if (boardLoader.getLastError()) {
+      reportBoardError(boardLoader.getLastError());
+    }
+  }
+  return success;
+}
+
+async function loadBoardPackageFile(file) {
+  if (!boardLoader) return;
+  if (isRunning) {
+    appendOutput('[ERROR] Stop the program before loading a board package.\n', 'error');
+    return;
+  }
+  try {
+    const board = await boardLoader.loadPackageFromZip(await file.arrayBuffer(), file.name);
+    appendOutput('[INFO] Board package loaded: ' + board.name + ' ' + board.version + '\n', 'info');
+    updateBoardSelector();
+    await selectBoard(board.id);
+  } catch (error) {
+    reportBoardError(error);
+  }
+}
+
+async function initCompiler() {
+  try {
+    rubyCompiler = new RubyCompiler(MRBC_SCRIPT_PATH);
+    await rubyCompiler.load();
+    compileRunBtn.disabled = isRunning;
+    runAllBtn.disabled = false;
+    extraDevices.forEach(updateDeviceControls);
+    appendOutput('[INFO] mrbc compiler loaded successfully.\n', 'info');
+  } catch (error) {
+    appendOutput('[ERROR] Failed to load mrbc compiler: ' + error.message + '\n', 'error');
   }
 }
 
 async function runBytecode(bytecode) {
-  if (!mrubycModule || isRunning) return;
+  if (!device || !device.module || isRunning) return;
   
   isRunning = true;
   setStatus('running', 'Running bytecode...');
   runSampleBtn.disabled = true;
   runCustomBtn.disabled = true;
+  compileRunBtn.disabled = true;
+  stopBtn.disabled = false;
+  pauseBtn.disabled = false;
+  missingUpdateWarned = false;
+  startClockDisplay();
   
   appendOutput('\n--- Execution Start ---\n', 'info');
   
-  let bytecodePtr = 0;
   try {
-    bytecodePtr = mrubycModule._malloc(bytecode.length);
-    if (!bytecodePtr) {
-      throw new Error('Memory allocation failed in WebAssembly module.');
+    const outcome = await device.run(bytecode);
+    if (outcome.stopped) {
+      appendOutput('\n--- Execution Stopped ---\n', 'info');
+      return;
     }
-    const heapU8 = new Uint8Array(mrubycModule.wasmMemory.buffer);
-    heapU8.set(bytecode, bytecodePtr);
-    
-    // Use ccall with async: true to properly handle ASYNCIFY
-    // This ensures that emscripten_sleep calls are properly awaited
-    const result = await mrubycModule.ccall(
-      'mrbc_wasm_run',
-      'number',
-      ['number', 'number'],
-      [bytecodePtr, bytecode.length],
-      { async: true }
-    );
-    
+
+    const result = outcome.result;
     appendOutput('\n--- Execution End (return: ' + result + ') ---\n', 'info');
     
     if (result === 0) {
@@ -130,13 +341,200 @@ async function runBytecode(bytecode) {
   } catch (error) {
     appendOutput('\n[ERROR] Execution failed: ' + error.message + '\n', 'error');
   } finally {
-    if (bytecodePtr) {
-      mrubycModule._free(bytecodePtr);
-    }
     isRunning = false;
+    checkPixelsUpdate(true);
+    stopClockDisplay();
+    stopBtn.disabled = true;
+    pauseBtn.disabled = true;
+    pauseBtn.textContent = 'Pause';
+    stepBtn.disabled = true;
     setStatus('ready', 'mruby/c module ready');
     runSampleBtn.disabled = false;
     runCustomBtn.disabled = customBytecode === null;
+    compileRunBtn.disabled = !rubyCompiler || !rubyCompiler.isLoaded();
+  }
+}
+
+function stopProgram() {
+  if (!isRunning) return;
+  stopBtn.disabled = true;
+  pauseBtn.disabled = true;
+  stepBtn.disabled = true;
+  setStatus('running', 'Stopping...');
+  device.stop();
+}
+
+function updateClockDisplay() {
+  virtualTime.textContent = vmController.getVirtualTime();
+}
+
+function startClockDisplay() {
+  stopClockDisplay();
+  clockTimer = setInterval(function() {
+    updateClockDisplay();
+    checkPixelsUpdate(false);
+  }, 100);
+}
+
+function stopClockDisplay() {
+  if (clockTimer) {
+    clearInterval(clockTimer);
+    clockTimer = null;
+  }
+  updateClockDisplay();
+}
+
+// Pixels only appear on PIXELS.update, as on the device; point out programs that forget it
+function checkPixelsUpdate(finished) {
+  if (!warnMissingUpdate.checked || missingUpdateWarned ||
+      !boardLoader.getBoardUI() || !boardLoader.getBoardUI().isPixelUpdateMissing()) {
+    return;
+  }
+  if (!finished && vmController.getVirtualTime() < MISSING_UPDATE_WARNING_MS) return;
+  missingUpdateWarned = true;
+  appendOutput('\n[WARNING] The program sets pixels but never calls PIXELS.update; ' +
+    'the matrix only shows pixels after PIXELS.update.\n', 'error');
+}
+
+// Called by the VM controller when the VM is held after a pause or a step
+function onVMPaused(time) {
+  virtualTime.textContent = time;
+  setStatus('ready', 'Paused at ' + time + ' ms');
+  stepBtn.disabled = false;
+}
+
+function togglePause() {
+  if (!isRunning) return;
+  if (vmController.isPaused()) {
+    vmController.resume();
+    pauseBtn.textContent = 'Pause';
+    stepBtn.disabled = true;
+    setStatus('running', 'Running bytecode...');
+  } else {
+    vmController.pause();
+    pauseBtn.textContent = 'Resume';
+    setStatus('running', 'Pausing...');
+  }
+}
+
+function stepProgram() {
+  const ticks = parseInt(stepTicks.value, 10);
+  if (!isRunning || !vmController.isPaused() || !(ticks > 0)) return;
+  stepBtn.disabled = true;
+  setStatus('running', 'Stepping ' + ticks + ' ticks...');
+  vmController.step(ticks);
+}
+
+// Called by the board UI on every PIXELS.update
+function recordPixels(pixels) {
+  if (!frameRecorder.isRecording()) return;
+  if (!frameRecorder.addFrame(vmController.getVirtualTime(), pixels)) {
+    appendOutput('[INFO] Recording stopped: frame limit reached.\n', 'info');
+    updateRecordingControls();
+  }
+  frameCount.textContent = frameRecorder.getFrameCount();
+}
+
+function updateRecordingControls() {
+  const recording = frameRecorder.isRecording();
+  const exportable = !recording && frameRecorder.getFrameCount() > 0;
+  recordBtn.textContent = recording ? 'Stop Recording' : 'Record';
+  exportGifBtn.disabled = !exportable;
+  exportApngBtn.disabled = !exportable;
+  exportJsonBtn.disabled = !exportable;
+  frameCount.textContent = frameRecorder.getFrameCount();
+}
+
+function toggleRecording() {
+  if (frameRecorder.isRecording()) {
+    frameRecorder.stop();
+    appendOutput('[INFO] Recorded ' + frameRecorder.getFrameCount() + ' frames.\n', 'info');
+  } else {
+    const board = boardLoader && boardLoader.getCurrentBoard();
+    if (!board) {
+      appendOutput('[ERROR] Select a board before recording.\n', 'error');
+      return;
+    }
+    frameRecorder.start(board, boardLoader.getPixelMap());
+    appendOutput('[INFO] Recording frames on every PIXELS.update.\n', 'info');
+  }
+  updateRecordingControls();
+}
+
+function downloadFile(data, fileName, type) {
+  const url = URL.createObjectURL(new Blob([data], { type: type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoke after the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function exportRecording(format) {
+  try {
+    if (format === 'gif') {
+      downloadFile(frameRecorder.encodeGIF(), 'recording.gif', 'image/gif');
+    } else if (format === 'apng') {
+      downloadFile(await frameRecorder.encodeAPNG(), 'recording.png', 'image/apng');
+    } else {
+      downloadFile(frameRecorder.toJSON(), 'recording.json', 'application/json');
+    }
+  } catch (error) {
+    appendOutput('[ERROR] Export failed: ' + error.message + '\n', 'error');
+  }
+}
+
+function clearErrorLines() {
+  errorLines.forEach(line => {
+    sourceEditor.removeLineClass(line, 'background', 'error-line');
+  });
+  errorLines = [];
+}
+
+function markErrorLine(lineNumber) {
+  // mrbc reports 1-based lines; an unexpected end of file points past the last line
+  const index = Math.min(Math.max(lineNumber - 1, 0), sourceEditor.lineCount() - 1);
+  errorLines.push(sourceEditor.addLineClass(index, 'background', 'error-line'));
+}
+
+// Returns the bytecode of the editor source, or null after reporting compile errors
+function compileEditorSource() {
+  if (!rubyCompiler || !rubyCompiler.isLoaded()) return null;
+
+  clearErrorLines();
+
+  let result;
+  try {
+    result = rubyCompiler.compile(sourceEditor.getValue(), 'main.rb');
+  } catch (error) {
+    appendOutput('[ERROR] Compiler failed: ' + error.message + '\n', 'error');
+    return null;
+  }
+
+  if (!result.success) {
+    appendOutput('\n--- Compile Error ---\n', 'error');
+    if (result.errors.length > 0) {
+      result.errors.forEach(error => {
+        appendOutput('Line ' + error.line + ':' + error.column + ': ' + error.message + '\n', 'error');
+        markErrorLine(error.line);
+      });
+    } else {
+      result.messages.forEach(text => appendOutput(text + '\n', 'error'));
+    }
+    return null;
+  }
+
+  appendOutput('[INFO] Compiled main.rb (' + result.bytecode.length + ' bytes, ' +
+    result.time.toFixed(1) + ' ms)\n', 'info');
+  return result.bytecode;
+}
+
+function compileAndRun() {
+  if (isRunning) return;
+  const bytecode = compileEditorSource();
+  if (bytecode) {
+    runBytecode(bytecode);
   }
 }
 
@@ -169,7 +567,7 @@ bytecodeFile.addEventListener('change', function(e) {
     reader.onload = function(event) {
       customBytecode = new Uint8Array(event.target.result);
       appendOutput('[INFO] Loaded bytecode file: ' + file.name + ' (' + customBytecode.length + ' bytes)\n', 'info');
-      runCustomBtn.disabled = !mrubycModule || isRunning;
+      runCustomBtn.disabled = !device || !device.module || isRunning;
     };
     reader.onerror = function() {
       appendOutput('[ERROR] Failed to read file: ' + file.name + '\n', 'error');
@@ -186,6 +584,30 @@ runCustomBtn.addEventListener('click', function() {
   }
 });
 
+compileRunBtn.addEventListener('click', compileAndRun);
+
+stopBtn.addEventListener('click', stopProgram);
+
+pauseBtn.addEventListener('click', togglePause);
+
+stepBtn.addEventListener('click', stepProgram);
+
+recordBtn.addEventListener('click', toggleRecording);
+
+exportGifBtn.addEventListener('click', () => exportRecording('gif'));
+
+exportApngBtn.addEventListener('click', () => exportRecording('apng'));
+
+exportJsonBtn.addEventListener('click', () => exportRecording('json'));
+
+timeScale.addEventListener('change', function() {
+  const scale = parseFloat(timeScale.value);
+  if (vmController) {
+    vmController.setTimeScale(scale);
+  }
+  extraDevices.forEach(entry => entry.device.controller.setTimeScale(scale));
+});
+
 clearBtn.addEventListener('click', clearOutput);
 
 // Board selector change handler
@@ -193,31 +615,196 @@ boardSelector.addEventListener('change', async function(e) {
   const boardId = e.target.value;
   if (!boardId) {
     // Clear board UI if no board selected
-    if (boardLoader) {
-      boardLoader.cleanupBoard(boardUIContainer);
+    if (device) {
+      device.clearBoard();
     }
     return;
   }
   
-  if (boardLoader && mrubycModule) {
-    const success = await boardLoader.switchBoard(boardId, boardUIContainer);
-    if (success) {
-      const board = boardLoader.getCurrentBoard();
-      appendOutput('[INFO] Board switched to: ' + board.name + '\n', 'info');
-    } else {
-      appendOutput('[ERROR] Failed to switch board.\n', 'error');
-    }
+  if (device && device.module) {
+    await selectBoard(boardId);
+  }
+});
+
+boardPackageFile.addEventListener('change', function(e) {
+  const file = e.target.files[0];
+  if (file) {
+    loadBoardPackageFile(file);
+  }
+  e.target.value = '';
+});
+
+// Board packages can also be dropped anywhere on the page
+document.addEventListener('dragover', function(e) {
+  if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+    e.preventDefault();
+  }
+});
+
+document.addEventListener('drop', function(e) {
+  const file = e.dataTransfer && e.dataTransfer.files[0];
+  if (file && /\.zip$/i.test(file.name)) {
+    e.preventDefault();
+    loadBoardPackageFile(file);
   }
 });
 
 showStatsBtn.addEventListener('click', function() {
-  if (mrubycModule) {
+  if (device && device.module) {
     appendOutput('\n--- VM Statistics ---\n', 'info');
-    mrubycModule._mrbc_wasm_print_statistics();
+    device.printStatistics();
     appendOutput('--- End Statistics ---\n', 'info');
   } else {
     appendOutput('[ERROR] mruby/c module not loaded.\n', 'error');
   }
 });
 
+function createButton(text, className, onClick) {
+  const button = document.createElement('button');
+  button.className = className;
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+async function addDevice() {
+  const number = nextDeviceNumber++;
+  const panel = document.createElement('div');
+  panel.className = 'device-panel';
+
+  const title = document.createElement('div');
+  title.className = 'section-title';
+  title.textContent = 'Device ' + number;
+  panel.appendChild(title);
+
+  const entry = { number: number, panel: panel };
+  entry.boardSelect = document.createElement('select');
+  entry.boardSelect.innerHTML = '<option value="">Select Board...</option>';
+  entry.boardSelect.addEventListener('change', () => selectDeviceBoard(entry, entry.boardSelect.value));
+  panel.appendChild(entry.boardSelect);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'button-group';
+  entry.runBtn = createButton('Run Editor Program', 'btn-primary', () => {
+    const bytecode = compileEditorSource();
+    if (bytecode) {
+      runOnDevice(entry, bytecode);
+    }
+  });
+  entry.sampleBtn = createButton('Run Sample', 'btn-success', () => {
+    runOnDevice(entry, new Uint8Array(SAMPLE_BYTECODE));
+  });
+  entry.stopBtn = createButton('Stop', 'btn-danger', () => entry.device.stop());
+  buttons.append(entry.runBtn, entry.sampleBtn, entry.stopBtn,
+    createButton('Remove', 'btn-secondary', () => removeDevice(entry)));
+  panel.appendChild(buttons);
+
+  const boardContainer = document.createElement('div');
+  boardContainer.className = 'device-board';
+  panel.appendChild(boardContainer);
+  entry.output = document.createElement('div');
+  entry.output.className = 'output-area device-output';
+  panel.appendChild(entry.output);
+
+  entry.device = new SimulatedDevice({
+    container: boardContainer,
+    onOutput: text => appendTo(entry.output, text),
+    onError: text => appendTo(entry.output, text, 'error')
+  });
+  entry.device.controller.setTimeScale(parseFloat(timeScale.value));
+  extraDevices.push(entry);
+  deviceList.appendChild(panel);
+  updateDeviceControls(entry);
+
+  try {
+    await entry.device.init();
+  } catch (error) {
+    appendTo(entry.output, '[ERROR] Failed to load mruby/c module: ' + error.message + '\n', 'error');
+    return;
+  }
+  fillBoardOptions(entry.boardSelect);
+  if (boardSelector.value) {
+    await selectDeviceBoard(entry, boardSelector.value);
+  }
+  updateDeviceControls(entry);
+}
+
+async function selectDeviceBoard(entry, boardId) {
+  entry.boardSelect.value = boardId;
+  if (!boardId) {
+    entry.device.clearBoard();
+    return;
+  }
+  const shownOn = classicBoardShownElsewhere(boardId, entry.device);
+  if (shownOn) {
+    appendTo(entry.output, '[ERROR] ' + boardId + ' is a formatVersion 1 board, and ' + shownOn +
+      ' already shows one; only one can be shown at a time.\n', 'error');
+    entry.boardSelect.value = entry.device.boardLoader.getCurrentBoardId() || '';
+    return;
+  }
+  // Boards are registered once on the main device and shared
+  const loader = entry.device.boardLoader;
+  const board = boardLoader.getAvailableBoards().find(b => b.id === boardId);
+  if (board && !loader.getAvailableBoards().includes(board)) {
+    loader.registerBoard(board);
+  }
+  if (!await entry.device.selectBoard(boardId)) {
+    appendTo(entry.output, '[ERROR] Failed to load board: ' + boardId + '\n', 'error');
+  }
+}
+
+function updateDeviceControls(entry) {
+  const ready = !!entry.device.module && !entry.device.isRunning();
+  entry.runBtn.disabled = !ready || !rubyCompiler || !rubyCompiler.isLoaded();
+  entry.sampleBtn.disabled = !ready || typeof SAMPLE_BYTECODE === 'undefined';
+  entry.stopBtn.disabled = !entry.device.isRunning();
+  entry.boardSelect.disabled = !ready;
+}
+
+async function runOnDevice(entry, bytecode) {
+  if (!entry.device.module || entry.device.isRunning()) return;
+  appendTo(entry.output, '\n--- Execution Start ---\n', 'info');
+  const running = entry.device.run(bytecode);
+  updateDeviceControls(entry);
+  try {
+    const outcome = await running;
+    if (outcome.stopped) {
+      appendTo(entry.output, '\n--- Execution Stopped ---\n', 'info');
+    } else {
+      appendTo(entry.output, '\n--- Execution End (return: ' + outcome.result + ') ---\n', 'info');
+    }
+  } catch (error) {
+    appendTo(entry.output, '\n[ERROR] Execution failed: ' + error.message + '\n', 'error');
+  } finally {
+    updateDeviceControls(entry);
+  }
+}
+
+function removeDevice(entry) {
+  entry.device.dispose();
+  entry.panel.remove();
+  extraDevices.splice(extraDevices.indexOf(entry), 1);
+}
+
+// Compile the editor source once and start it on every idle device
+function runOnAllDevices() {
+  const bytecode = compileEditorSource();
+  if (!bytecode) return;
+  if (!isRunning) {
+    runBytecode(bytecode);
+  }
+  extraDevices.forEach(entry => runOnDevice(entry, bytecode));
+}
+
+function stopAllDevices() {
+  stopProgram();
+  extraDevices.forEach(entry => entry.device.stop());
+}
+
+addDeviceBtn.addEventListener('click', addDevice);
+
+runAllBtn.addEventListener('click', runOnAllDevices);
+
+stopAllBtn.addEventListener('click', stopAllDevices);
+
 initModule();
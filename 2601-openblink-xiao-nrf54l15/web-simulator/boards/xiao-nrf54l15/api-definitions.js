@@ -5,306 +5,94 @@
 
 /**
  * API definitions for XIAO nRF54L15 board
- * Defines the PIXELS class and methods for mruby/c scripts to control LED strip
+ * Declares the Ruby API as a manifest for ApiRegistrar (see lib/api-registrar.js):
+ * - PIXELS: controls the 6x10 RGB LED matrix; set writes a back buffer that
+ *   update shows, as on the device
+ * - Input: reads the push buttons
+ * - LED: drives the user LED
+ *
+ * Handlers drive the board UI instance the API is defined for (see BoardUI;
+ * the headless runner passes an in-memory board with the same methods).
  */
 
 /**
- * Registered callback function pointers for cleanup
- * @type {number[]}
+ * Build the API manifest for a board UI instance
+ * @param {BoardUI} ui - The board UI the handlers drive
+ * @returns {Array<Object>} ApiRegistrar manifest
  */
-let registeredCallbacks = [];
-
-/**
- * Pointer to the current PIXELS instance for memory management
- * @type {number|null}
- */
-let currentPixelsInstance = null;
-
-/**
- * Reference to the current API wrapper for cleanup
- * @type {MrubycWasmAPI|null}
- */
-let currentApi = null;
-
-/**
- * mruby/c WASM API wrapper class
- * Provides a clean JavaScript interface to the mruby/c WASM functions.
- * This abstraction layer ensures compatibility with future mruby/c versions
- * by isolating the direct WASM calls.
- */
-class MrubycWasmAPI {
-  /**
-   * @param {Object} module - The mruby/c WASM module instance
-   */
-  constructor(module) {
-    this.module = module;
-  }
-
-  /**
-   * Get the Object class pointer
-   * @returns {number} Pointer to the Object class
-   */
-  getClassObject() {
-    return this.module._mrbc_wasm_get_class_object();
-  }
-
-  /**
-   * Define a new class
-   * @param {string} name - Class name
-   * @param {number} superClass - Pointer to super class
-   * @returns {number} Pointer to the newly created class
-   */
-  defineClass(name, superClass) {
-    return this.module.ccall(
-      'mrbc_wasm_define_class',
-      'number',
-      ['string', 'number'],
-      [name, superClass]
-    );
-  }
-
-  /**
-   * Define a method for a class
-   * @param {number} cls - Pointer to the class
-   * @param {string} name - Method name
-   * @param {number} func - Pointer to the callback function
-   */
-  defineMethod(cls, name, func) {
-    this.module.ccall(
-      'mrbc_wasm_define_method',
-      null,
-      ['number', 'string', 'number'],
-      [cls, name, func]
-    );
-  }
-
-  /**
-   * Get an integer argument from method call
-   * @param {number} vPtr - Pointer to the value array
-   * @param {number} index - Argument index (1-based)
-   * @returns {number} Integer value
-   */
-  getIntArg(vPtr, index) {
-    return this.module._mrbc_wasm_get_int_arg(vPtr, index);
-  }
-
-  /**
-   * Get a float argument from method call
-   * @param {number} vPtr - Pointer to the value array
-   * @param {number} index - Argument index (1-based)
-   * @returns {number} Float value
-   */
-  getFloatArg(vPtr, index) {
-    return this.module._mrbc_wasm_get_float_arg(vPtr, index);
-  }
-
-  /**
-   * Check if an argument is numeric
-   * @param {number} vPtr - Pointer to the value array
-   * @param {number} index - Argument index (1-based)
-   * @returns {boolean} True if numeric
-   */
-  isNumericArg(vPtr, index) {
-    return this.module._mrbc_wasm_is_numeric_arg(vPtr, index) !== 0;
-  }
-
-  /**
-   * Set return value to boolean
-   * @param {number} vPtr - Pointer to the value array
-   * @param {boolean} val - Boolean value
-   */
-  setReturnBool(vPtr, val) {
-    this.module._mrbc_wasm_set_return_bool(vPtr, val ? 1 : 0);
-  }
-
-  /**
-   * Set return value to nil
-   * @param {number} vPtr - Pointer to the value array
-   */
-  setReturnNil(vPtr) {
-    this.module._mrbc_wasm_set_return_nil(vPtr);
-  }
-
-  /**
-   * Set return value to integer
-   * @param {number} vPtr - Pointer to the value array
-   * @param {number} val - Integer value
-   */
-  setReturnInt(vPtr, val) {
-    this.module._mrbc_wasm_set_return_int(vPtr, val);
-  }
-
-  /**
-   * Set return value to float
-   * @param {number} vPtr - Pointer to the value array
-   * @param {number} val - Float value
-   */
-  setReturnFloat(vPtr, val) {
-    this.module._mrbc_wasm_set_return_float(vPtr, val);
-  }
-
-  /**
-   * Add a callback function to the WASM function table
-   * @param {Function} func - The callback function
-   * @param {string} signature - Function signature (e.g., 'viii')
-   * @returns {number} Function pointer
-   */
-  addFunction(func, signature) {
-    return this.module.addFunction(func, signature);
-  }
-
-  /**
-   * Remove a callback function from the WASM function table
-   * @param {number} funcPtr - Function pointer to remove
-   */
-  removeFunction(funcPtr) {
-    this.module.removeFunction(funcPtr);
-  }
-
-  /**
-   * Create a new instance of a class
-   * @param {number} cls - Pointer to the class
-   * @returns {number} Pointer to the instance
-   */
-  instanceNew(cls) {
-    return this.module._mrbc_wasm_instance_new(cls);
-  }
-
-  /**
-   * Set a global constant
-   * @param {string} name - Constant name
-   * @param {number} value - Pointer to the value
-   */
-  setGlobalConst(name, value) {
-    this.module.ccall(
-      'mrbc_wasm_set_global_const',
-      null,
-      ['string', 'number'],
-      [name, value]
-    );
-  }
-
-  /**
-   * Free an instance
-   * @param {number} instance - Pointer to the instance
-   */
-  freeInstance(instance) {
-    this.module._mrbc_wasm_free_instance(instance);
-  }
-}
-
-/**
- * Define the PIXELS API for mruby/c
- * This function handles the atomic swap of callbacks to prevent race conditions
- * during board switching. New callbacks are registered and methods are updated
- * BEFORE old callbacks are removed.
- * @param {Object} mrubycModule - The mruby/c WASM module instance
- */
-function definePixelsAPI(mrubycModule) {
-  // Create API wrapper instance
-  const api = new MrubycWasmAPI(mrubycModule);
-  
-  // Free the previous PIXELS instance to prevent memory leaks
-  if (currentPixelsInstance && currentApi) {
-    currentApi.freeInstance(currentPixelsInstance);
-    currentPixelsInstance = null;
-  }
-  currentApi = api;
-  
-  // Save old callbacks for cleanup AFTER new ones are registered
-  // This ensures the PIXELS class always has valid function pointers
-  const oldCallbacks = [...registeredCallbacks];
-  registeredCallbacks = [];
-  
-  // Get the Object class as the super class
-  const classObject = api.getClassObject();
-  
-  // Define the Pixels class (or redefine if it already exists)
-  // mruby/c will update the existing class if it already exists
-  const pixelsClass = api.defineClass('Pixels', classObject);
-  
-  // Define the 'set' method (PIXELS.set(index, r, g, b))
-  // Signature: void func(mrb_vm *vm, mrb_value *v, int argc)
-  const setPixelCallback = api.addFunction((vmPtr, vPtr, argc) => {
-    // Validate arguments (need 4 numeric arguments: index, r, g, b)
-    if (api.isNumericArg(vPtr, 1) && api.isNumericArg(vPtr, 2) &&
-        api.isNumericArg(vPtr, 3) && api.isNumericArg(vPtr, 4)) {
-      const index = api.getIntArg(vPtr, 1);
-      const red = api.getIntArg(vPtr, 2);
-      const green = api.getIntArg(vPtr, 3);
-      const blue = api.getIntArg(vPtr, 4);
-      
-      // Call the UI function to set pixel color
-      if (typeof window.setPixelColor === 'function') {
-        window.setPixelColor(index, red, green, blue);
-      }
-      api.setReturnBool(vPtr, true);
-    } else {
-      api.setReturnBool(vPtr, false);
-    }
-  }, 'viii');
-  
-  registeredCallbacks.push(setPixelCallback);
-  api.defineMethod(pixelsClass, 'set', setPixelCallback);
-  
-  // Define the 'update' method (PIXELS.update)
-  const updateCallback = api.addFunction((vmPtr, vPtr, argc) => {
-    // In the browser simulation, update is a no-op since colors are applied immediately
-    api.setReturnBool(vPtr, true);
-  }, 'viii');
-  
-  registeredCallbacks.push(updateCallback);
-  api.defineMethod(pixelsClass, 'update', updateCallback);
-  
-  // Create an instance of the Pixels class
-  const pixelsInstance = api.instanceNew(pixelsClass);
-  
-  if (pixelsInstance) {
-    // Track the instance for memory management
-    currentPixelsInstance = pixelsInstance;
-    // Set it as a global constant PIXELS
-    api.setGlobalConst('PIXELS', pixelsInstance);
-  } else {
-    console.error('definePixelsAPI: Failed to create Pixels instance');
-  }
-  
-  // NOW it's safe to remove old callbacks since the PIXELS class
-  // methods now point to the new callbacks
-  for (const callback of oldCallbacks) {
-    try {
-      api.removeFunction(callback);
-    } catch (e) {
-      // Ignore cleanup errors
+export function defineAPI(ui) {
+  return [
+    {
+      className: 'Pixels',
+      instance: 'PIXELS',
+      onRegister: () => ui.resetPixelUpdateState(),
+      methods: [
+        {
+          // PIXELS.set(index, r, g, b)
+          name: 'set',
+          params: [
+            { name: 'index', type: 'int' },
+            { name: 'red', type: 'int' },
+            { name: 'green', type: 'int' },
+            { name: 'blue', type: 'int' }
+          ],
+          returns: 'bool',
+          invalid: false,
+          handler: ({ index, red, green, blue }) => {
+            ui.setPixelColor(index, red, green, blue);
+            return true;
+          }
+        },
+        {
+          // PIXELS.update
+          // The board UI shows the back buffer and reports each update to
+          // its host, e.g. for frame recording
+          name: 'update',
+          returns: 'bool',
+          handler: () => {
+            ui.updatePixels();
+            return true;
+          }
+        }
+      ]
+    },
+    {
+      // Input.pressed?(part: :sw1) / Input.released?(part: :sw1) return true once
+      // per edge, as on the device: the edge is latched by the UI and cleared when read.
+      className: 'Input',
+      // Edges latched before the program started must not leak into it
+      onRegister: () => ui.resetInputs(),
+      methods: ['pressed', 'released'].map(edge => ({
+        name: `${edge}?`,
+        params: [
+          { name: 'part', type: 'symbol', keyword: true, values: ['sw1'] }
+        ],
+        returns: 'bool',
+        invalid: false,
+        handler: ({ part }) => ui.consumeInputEdge(part, edge)
+      }))
+    },
+    {
+      // LED.set(part: :led1, state: true/false)
+      // The LED is active-low as on the device: state: false lights it
+      className: 'LED',
+      // Programs start with the LED pin in its reset state
+      onRegister: () => ui.resetLEDs(),
+      methods: [
+        {
+          name: 'set',
+          params: [
+            { name: 'part', type: 'symbol', keyword: true, values: ['led1'] },
+            { name: 'state', type: 'bool', keyword: true }
+          ],
+          returns: 'bool',
+          invalid: false,
+          handler: ({ part, state }) => {
+            ui.setLEDState(part, state);
+            return true;
+          }
+        }
+      ]
     }
-  }
-}
-
-/**
- * Cleanup registered callbacks and instance to prevent memory leaks
- * Should be called when switching boards
- * @param {Object} mrubycModule - The mruby/c WASM module instance
- */
-function cleanupPixelsAPI(mrubycModule) {
-  // Free the PIXELS instance
-  if (currentPixelsInstance && currentApi) {
-    currentApi.freeInstance(currentPixelsInstance);
-    currentPixelsInstance = null;
-  }
-  currentApi = null;
-  
-  // Remove registered callbacks
-  for (const callback of registeredCallbacks) {
-    try {
-      mrubycModule.removeFunction(callback);
-    } catch (e) {
-      // Ignore cleanup errors
-    }
-  }
-  registeredCallbacks = [];
-}
-
-// Export for use in other modules
-if (typeof window !== 'undefined') {
-  window.definePixelsAPI = definePixelsAPI;
-  window.cleanupPixelsAPI = cleanupPixelsAPI;
+  ];
 }
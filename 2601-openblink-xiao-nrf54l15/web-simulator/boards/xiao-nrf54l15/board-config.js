@@ -7,7 +7,7 @@
  * Board configuration for XIAO nRF54L15
  * Defines board-specific settings including UI layout and hardware parameters
  */
-const BOARD_CONFIG = {
+export const config = {
   name: "XIAO nRF54L15",
   id: "xiao-nrf54l15",
   description: "6x10 RGB Matrix for XIAO nRF54L15",
@@ -15,11 +15,28 @@ const BOARD_CONFIG = {
   ui: {
     matrixWidth: 10,
     matrixHeight: 6,
-    totalPixels: 60
-  }
+    totalPixels: 60,
+
+    // Physical wiring of the matrix (see lib/pixel-map.js): index 0 is at the
+    // top-right and the chain runs down each column, right to left
+    wiring: { start: "top-right", order: "column", serpentine: false },
+
+    // Realistic LED rendering: LED output is linear in the PWM value, so the
+    // eye sees it through a gamma curve; glow is the halo radius in px at full
+    // brightness
+    led: { gamma: 2.2, glow: 12 }
+  },
+
+  // Push buttons exposed to scripts through the Input class.
+  // `key` is the KeyboardEvent.code that also drives the button.
+  inputs: [
+    { part: "sw1", label: "SW1", key: "Space" }
+  ],
+
+  // On-board LEDs exposed to scripts through the LED class.
+  // An active-low LED lights when its pin state is false.
+  leds: [
+    { part: "led1", label: "LED1", color: "#ffb300", activeLow: true }
+  ]
 };
 
-// Export for use in other modules
-if (typeof window !== 'undefined') {
-  window.BOARD_CONFIG = BOARD_CONFIG;
-}
@@ -0,0 +1,34 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * XIAO nRF54L15 board module
+ * Implements the board module interface loaded by BoardLoader
+ * (see lib/board-package.js).
+ */
+
+import { config } from './board-config.js';
+import { BoardUI } from './ui-components.js';
+import { defineAPI } from './api-definitions.js';
+
+export { config, defineAPI };
+
+/**
+ * Create the board UI
+ * @param {HTMLElement} container - The container element to add UI to
+ * @param {Object} host - The page showing the board (see BoardUI)
+ * @returns {BoardUI} The board UI instance
+ */
+export function createUI(container, host) {
+  return new BoardUI(container, config, host);
+}
+
+/**
+ * Remove a board UI created by createUI
+ * @param {BoardUI} ui - The board UI instance
+ */
+export function dispose(ui) {
+  ui.dispose();
+}
@@ -5,82 +5,442 @@
 
 /**
  * UI components for XIAO nRF54L15 board
- * Creates and manages the 6x10 RGB LED matrix display
+ * Creates and manages the 6x10 RGB LED matrix display, push buttons and user LED.
+ * All state lives in the BoardUI instance, so several boards can be shown at once.
  */
 
 /**
- * Create the board-specific UI elements
- * @param {HTMLElement} container - The container element to add UI to
- * @param {Object} config - The board configuration object
+ * Default rendering of matrix pixels, overridden by config.ui.led
+ * @type {{realistic: boolean, brightness: number, gamma: number, glow: number}}
  */
-function createBoardUI(container, config) {
-  // Clear existing content
-  container.innerHTML = '';
-  
-  // Create title
-  const title = document.createElement('div');
-  title.textContent = `${config.ui.matrixWidth}x${config.ui.matrixHeight} RGB MATRIX for ${config.name}`;
-  container.appendChild(title);
-  
-  // Create dot container
-  const dotContainer = document.createElement('div');
-  dotContainer.id = 'dot-container';
-  container.appendChild(dotContainer);
-  
-  // Generate dots (LEDs)
-  for (let i = 0; i < config.ui.totalPixels; i++) {
-    const dot = document.createElement('div');
-    dot.id = i;
-    dot.className = 'dot';
-    dot.textContent = i;
-    dotContainer.appendChild(dot);
+const DEFAULT_PIXEL_RENDERING = { realistic: false, brightness: 1, gamma: 2.2, glow: 12 };
+
+export class BoardUI {
+  /**
+   * Create the board-specific UI elements
+   * @param {HTMLElement} container - The container element to add UI to
+   * @param {Object} config - The board configuration object
+   * @param {Object} host - The page showing the board
+   * @param {Array<{x: number, y: number}>} host.pixelMap - Matrix position of each LED index
+   * @param {function(Array<number[]>): void} [host.onPixelsUpdate] - Called on every
+   *   PIXELS.update with a copy of the shown pixel colors
+   */
+  constructor(container, config, host) {
+    this.container = container;
+    this.config = config;
+    this.host = host;
+
+    // Color shown by each matrix pixel as [red, green, blue], by index
+    this.pixelColors = [];
+    // Back buffer written by PIXELS.set, shown on PIXELS.update as on the device
+    this.pixelBackBuffer = [];
+    // Whether the running program has written the back buffer without
+    // showing it, and whether it has called PIXELS.update at all
+    this.pixelUpdateState = { pending: false, updated: false };
+    // How matrix pixels are drawn: plain colors, or realistic LEDs with gamma
+    // correction, glow and a display brightness
+    this.pixelRendering = { ...DEFAULT_PIXEL_RENDERING, ...config.ui.led };
+    this.dots = [];
+
+    // On-board LED definitions keyed by part name, with the lamp and pin state
+    this.ledStates = {};
+    // State of each push button, keyed by part name.
+    // `pressed` and `released` latch on the edge and stay set until read.
+    this.inputStates = {};
+    // Document-level listeners for input key bindings, kept for cleanup
+    this.inputKeyListeners = null;
+
+    this.createMatrixUI();
+
+    // Generate on-board LEDs
+    if (config.leds && config.leds.length > 0) {
+      this.createLEDUI(config.leds);
+    }
+
+    // Generate push buttons
+    if (config.inputs && config.inputs.length > 0) {
+      this.createInputUI(config.inputs);
+    }
   }
-}
 
-/**
- * Set the color of a specific pixel/LED
- * @param {number} id - The pixel ID (0-based index)
- * @param {number} red - Red component (0-255)
- * @param {number} green - Green component (0-255)
- * @param {number} blue - Blue component (0-255)
- */
-function setPixelColor(id, red, green, blue) {
-  const targetDot = document.getElementById(id);
-  if (targetDot) {
+  /**
+   * Create the title, the matrix and its display controls
+   */
+  createMatrixUI() {
+    const { ui, name } = this.config;
+
+    // Clear existing content
+    this.container.innerHTML = '';
+
+    // Create title
+    const title = document.createElement('div');
+    title.textContent = `${ui.matrixWidth}x${ui.matrixHeight} RGB MATRIX for ${name}`;
+    this.container.appendChild(title);
+
+    // Create dot container
+    this.dotContainer = document.createElement('div');
+    this.dotContainer.className = 'dot-container';
+    this.dotContainer.style.gridTemplateColumns = `repeat(${ui.matrixWidth}, 30px)`;
+    this.dotContainer.style.gridTemplateRows = `repeat(${ui.matrixHeight}, 30px)`;
+    this.container.appendChild(this.dotContainer);
+
+    // Generate dots (LEDs), each placed where it is wired on the matrix
+    const pixelMap = this.host.pixelMap;
+    for (let i = 0; i < ui.totalPixels; i++) {
+      this.pixelColors.push([0, 0, 0]);
+      this.pixelBackBuffer.push([0, 0, 0]);
+      const dot = document.createElement('div');
+      dot.className = 'dot';
+      dot.textContent = i;
+      dot.style.gridColumn = pixelMap[i].x + 1;
+      dot.style.gridRow = pixelMap[i].y + 1;
+      this.dotContainer.appendChild(dot);
+      this.dots.push(dot);
+    }
+
+    this.createDisplayControls();
+  }
+
+  /**
+   * Create the controls for the matrix rendering mode and brightness
+   */
+  createDisplayControls() {
+    const controls = document.createElement('div');
+    controls.className = 'display-controls';
+    this.container.appendChild(controls);
+
+    const realisticLabel = document.createElement('label');
+    const realistic = document.createElement('input');
+    realistic.type = 'checkbox';
+    realistic.checked = this.pixelRendering.realistic;
+    realisticLabel.append(realistic, 'Realistic LEDs');
+    controls.appendChild(realisticLabel);
+
+    const brightnessLabel = document.createElement('label');
+    const brightness = document.createElement('input');
+    brightness.type = 'range';
+    brightness.min = '10';
+    brightness.max = '200';
+    brightness.value = String(Math.round(this.pixelRendering.brightness * 100));
+    brightness.disabled = !this.pixelRendering.realistic;
+    brightnessLabel.append('Brightness', brightness);
+    controls.appendChild(brightnessLabel);
+
+    const applyRendering = () => {
+      this.pixelRendering.realistic = realistic.checked;
+      this.pixelRendering.brightness = Number(brightness.value) / 100;
+      brightness.disabled = !realistic.checked;
+      this.dotContainer.classList.toggle('realistic', realistic.checked);
+      this.pixelColors.forEach((color, id) => this.renderPixel(id, color));
+    };
+    realistic.addEventListener('change', applyRendering);
+    brightness.addEventListener('input', applyRendering);
+    this.dotContainer.classList.toggle('realistic', this.pixelRendering.realistic);
+  }
+
+  /**
+   * Create the on-board LED indicators
+   * @param {Array<{part: string, label: string, color: string, activeLow: boolean}>} leds - LED definitions
+   */
+  createLEDUI(leds) {
+    const ledContainer = document.createElement('div');
+    ledContainer.className = 'led-container';
+    this.container.appendChild(ledContainer);
+
+    for (const led of leds) {
+      const indicator = document.createElement('div');
+      indicator.className = 'led-indicator';
+
+      const lamp = document.createElement('span');
+      lamp.className = 'led-lamp';
+      indicator.appendChild(lamp);
+
+      const label = document.createElement('span');
+      label.textContent = led.label;
+      indicator.appendChild(label);
+      ledContainer.appendChild(indicator);
+
+      // The pin idles high, which keeps an active-low LED off
+      this.ledStates[led.part] = { led: led, lamp: lamp, state: !!led.activeLow };
+      this.renderLED(led.part);
+    }
+  }
+
+  /**
+   * Set the pin state of an on-board LED
+   * @param {string} part - The part name (e.g. 'led1')
+   * @param {boolean} state - Pin state as passed to LED.set
+   */
+  setLEDState(part, state) {
+    const entry = this.ledStates[part];
+    if (entry) {
+      entry.state = state;
+      this.renderLED(part);
+    }
+  }
+
+  /**
+   * Reflect the pin state of an LED in the UI, honoring active-low wiring
+   * @param {string} part - The part name (e.g. 'led1')
+   */
+  renderLED(part) {
+    const entry = this.ledStates[part];
+    if (!entry) {
+      return;
+    }
+    const lit = entry.led.activeLow ? !entry.state : entry.state;
+    entry.lamp.classList.toggle('lit', lit);
+    entry.lamp.style.backgroundColor = lit ? entry.led.color : '';
+    entry.lamp.style.boxShadow = lit ? `0 0 8px 2px ${entry.led.color}` : '';
+  }
+
+  /**
+   * Turn all on-board LEDs off
+   */
+  resetLEDs() {
+    for (const part of Object.keys(this.ledStates)) {
+      this.setLEDState(part, !!this.ledStates[part].led.activeLow);
+    }
+  }
+
+  /**
+   * Create the push buttons and bind them to pointer and keyboard events
+   * @param {Array<{part: string, label: string, key: string}>} inputs - Input definitions
+   */
+  createInputUI(inputs) {
+    const inputContainer = document.createElement('div');
+    inputContainer.className = 'input-container';
+    this.container.appendChild(inputContainer);
+
+    for (const input of inputs) {
+      const button = document.createElement('button');
+      button.className = 'input-button';
+      button.textContent = input.label;
+      if (input.key) {
+        button.title = `Press and hold, or hold the ${input.key} key`;
+        const hint = document.createElement('span');
+        hint.className = 'input-key-hint';
+        hint.textContent = input.key;
+        button.appendChild(hint);
+      }
+      this.inputStates[input.part] = { button: button, down: false, pressed: false, released: false };
+
+      // Pointer events cover both mouse and touch
+      button.addEventListener('pointerdown', (e) => {
+        button.setPointerCapture(e.pointerId);
+        this.setInputLevel(input.part, true);
+      });
+      button.addEventListener('pointerup', () => this.setInputLevel(input.part, false));
+      button.addEventListener('pointercancel', () => this.setInputLevel(input.part, false));
+      inputContainer.appendChild(button);
+    }
+
+    // Keyboard bindings are ignored while typing into form fields
+    const findBoundInput = (e) => {
+      const target = e.target;
+      if (target && (target.isContentEditable ||
+          ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+        return null;
+      }
+      return inputs.find(input => input.key === e.code) || null;
+    };
+
+    this.inputKeyListeners = {
+      keydown: (e) => {
+        const input = findBoundInput(e);
+        if (input) {
+          e.preventDefault();
+          if (!e.repeat) {
+            this.setInputLevel(input.part, true);
+          }
+        }
+      },
+      keyup: (e) => {
+        const input = findBoundInput(e);
+        if (input) {
+          e.preventDefault();
+          this.setInputLevel(input.part, false);
+        }
+      },
+      // Release everything when the window loses focus so no key stays stuck
+      blur: () => {
+        for (const part of Object.keys(this.inputStates)) {
+          this.setInputLevel(part, false);
+        }
+      }
+    };
+    document.addEventListener('keydown', this.inputKeyListeners.keydown);
+    document.addEventListener('keyup', this.inputKeyListeners.keyup);
+    window.addEventListener('blur', this.inputKeyListeners.blur);
+  }
+
+  /**
+   * Update the level of a push button and latch the edge
+   * @param {string} part - The part name (e.g. 'sw1')
+   * @param {boolean} down - True if the button is held down
+   */
+  setInputLevel(part, down) {
+    const state = this.inputStates[part];
+    if (!state || state.down === down) {
+      return;
+    }
+    state.down = down;
+    if (down) {
+      state.pressed = true;
+    } else {
+      state.released = true;
+    }
+    state.button.classList.toggle('active', down);
+  }
+
+  /**
+   * Read and clear a latched edge of a push button
+   * @param {string} part - The part name (e.g. 'sw1')
+   * @param {string} edge - 'pressed' or 'released'
+   * @returns {boolean} True if the edge occurred since the last read
+   */
+  consumeInputEdge(part, edge) {
+    const state = this.inputStates[part];
+    if (!state || !state[edge]) {
+      return false;
+    }
+    state[edge] = false;
+    return true;
+  }
+
+  /**
+   * Clear all latched edges, keeping the current button levels
+   */
+  resetInputs() {
+    for (const state of Object.values(this.inputStates)) {
+      state.pressed = false;
+      state.released = false;
+    }
+  }
+
+  /**
+   * Set the color of a specific pixel/LED in the back buffer
+   * The color is shown by the next updatePixels.
+   * @param {number} id - The pixel ID (0-based index)
+   * @param {number} red - Red component (0-255)
+   * @param {number} green - Green component (0-255)
+   * @param {number} blue - Blue component (0-255)
+   */
+  setPixelColor(id, red, green, blue) {
+    if (id >= 0 && id < this.pixelBackBuffer.length) {
+      this.pixelBackBuffer[id] = [red, green, blue];
+      this.pixelUpdateState.pending = true;
+    }
+  }
+
+  /**
+   * Paint a pixel of the matrix
+   * @param {number} id - The pixel ID (0-based index)
+   * @param {number[]} color - [red, green, blue]
+   */
+  renderPixel(id, color) {
+    const targetDot = this.dots[id];
+    if (!targetDot) {
+      return;
+    }
+    if (this.pixelRendering.realistic) {
+      this.renderRealisticPixel(targetDot, color);
+      return;
+    }
+
+    const [red, green, blue] = color;
     targetDot.style.backgroundColor = `rgb(${red}, ${green}, ${blue})`;
+    targetDot.style.boxShadow = '';
     // Adjust text color based on background brightness
     const brightness = red + green + blue;
     const isLight = brightness > 128 * 3;
     targetDot.style.color = isLight ? '#666' : 'white';
   }
-}
 
-/**
- * Reset all pixels to default state (gray)
- * @param {Object} config - The board configuration object
- */
-function resetPixels(config) {
-  for (let i = 0; i < config.ui.totalPixels; i++) {
-    const dot = document.getElementById(i);
-    if (dot) {
+  /**
+   * Paint a pixel as a lit LED
+   * Low PWM values stay visible but dim, as they look on the device.
+   * @param {HTMLElement} dot - The pixel element
+   * @param {number[]} color - [red, green, blue] as set by the program
+   */
+  renderRealisticPixel(dot, color) {
+    const { gamma, brightness, glow } = this.pixelRendering;
+    const [red, green, blue] = color.map(value => {
+      const level = Math.pow(Math.min(Math.max(value, 0), 255) / 255, 1 / gamma);
+      return Math.round(Math.min(level * brightness, 1) * 255);
+    });
+    const peak = Math.max(red, green, blue);
+    dot.style.color = '';
+    if (peak === 0) {
+      // Unlit LEDs show the dark die from the stylesheet
+      dot.style.backgroundColor = '';
+      dot.style.boxShadow = '';
+      return;
+    }
+    const radius = glow * peak / 255;
+    dot.style.backgroundColor = `rgb(${red}, ${green}, ${blue})`;
+    dot.style.boxShadow = `0 0 ${radius}px ${radius / 2}px rgba(${red}, ${green}, ${blue}, 0.8)`;
+  }
+
+  /**
+   * Reset all pixels to default state (gray)
+   */
+  resetPixels() {
+    this.dots.forEach((dot, i) => {
+      this.pixelColors[i] = [0, 0, 0];
+      this.pixelBackBuffer[i] = [0, 0, 0];
       dot.style.backgroundColor = '';
+      dot.style.boxShadow = '';
       dot.style.color = '';
+    });
+  }
+
+  /**
+   * Handle PIXELS.update
+   * Shows the back buffer and reports the update to host.onPixelsUpdate
+   * with a copy of the shown pixel colors.
+   */
+  updatePixels() {
+    this.pixelBackBuffer.forEach((color, id) => {
+      this.pixelColors[id] = [...color];
+      this.renderPixel(id, color);
+    });
+    this.pixelUpdateState.pending = false;
+    this.pixelUpdateState.updated = true;
+
+    if (typeof this.host.onPixelsUpdate === 'function') {
+      this.host.onPixelsUpdate(this.pixelColors.map(color => [...color]));
     }
   }
-}
 
-/**
- * Cleanup the board UI
- * @param {HTMLElement} container - The container element
- */
-function cleanupBoardUI(container) {
-  container.innerHTML = '';
-}
+  /**
+   * Start tracking PIXELS.update calls for a new program
+   */
+  resetPixelUpdateState() {
+    this.pixelUpdateState = { pending: false, updated: false };
+  }
+
+  /**
+   * Check if the program has set pixels but never called PIXELS.update
+   * @returns {boolean} True if nothing the program set has been shown
+   */
+  isPixelUpdateMissing() {
+    return this.pixelUpdateState.pending && !this.pixelUpdateState.updated;
+  }
 
-// Export for use in other modules
-if (typeof window !== 'undefined') {
-  window.createBoardUI = createBoardUI;
-  window.setPixelColor = setPixelColor;
-  window.resetPixels = resetPixels;
-  window.cleanupBoardUI = cleanupBoardUI;
+  /**
+   * Remove the UI and its document listeners
+   */
+  dispose() {
+    if (this.inputKeyListeners) {
+      document.removeEventListener('keydown', this.inputKeyListeners.keydown);
+      document.removeEventListener('keyup', this.inputKeyListeners.keyup);
+      window.removeEventListener('blur', this.inputKeyListeners.blur);
+      this.inputKeyListeners = null;
+    }
+    this.inputStates = {};
+    this.ledStates = {};
+    this.dots = [];
+    this.container.innerHTML = '';
+  }
 }
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * Command line interface for the headless runner
+ * Runs a .mrb file, prints the program output to stdout and a summary to
+ * stderr, and optionally writes the full result (including frames) as JSON.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { runBytecode, DEFAULT_TIME_LIMIT_MS } = require('./headless-runner');
+
+const USAGE = `Usage: node cli.js [options] <program.mrb>
+
+Options:
+  --time <ms>              Stop the program after this much VM time (default: ${DEFAULT_TIME_LIMIT_MS})
+  --board <id>             Board directory under boards/ (default: xiao-nrf54l15)
+  --press <part>:<from>-<to>
+                           Hold a button from one VM time to another, e.g. sw1:100-250
+                           (repeatable)
+  --json <file>            Write the result with all frames as JSON ('-' for stdout)
+  -h, --help               Show this help
+
+Exit status is 0 when the program ends with 0 or reaches the time limit.`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{file: string|null, options: Object, jsonPath: string|null, help: boolean}} Parsed arguments
+ */
+function parseArgs(argv) {
+  const parsed = { file: null, options: { inputs: [] }, jsonPath: null, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} requires a value`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '-h':
+      case '--help':
+        parsed.help = true;
+        break;
+      case '--time': {
+        const time = Number(value());
+        if (!Number.isFinite(time) || time < 0) {
+          throw new Error('--time must be a non-negative number');
+        }
+        parsed.options.timeLimit = time;
+        break;
+      }
+      case '--board':
+        parsed.options.board = value();
+        break;
+      case '--press': {
+        const match = value().match(/^(\w+):(\d+)-(\d+)$/);
+        if (!match || Number(match[3]) < Number(match[2])) {
+          throw new Error('--press must look like sw1:100-250');
+        }
+        parsed.options.inputs.push(
+          { time: Number(match[2]), part: match[1], down: true },
+          { time: Number(match[3]), part: match[1], down: false }
+        );
+        break;
+      }
+      case '--json':
+        parsed.jsonPath = value();
+        break;
+      default:
+        if (arg.startsWith('-') || parsed.file) {
+          throw new Error(`Unexpected argument: ${arg}`);
+        }
+        parsed.file = arg;
+    }
+  }
+  return parsed;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (args.help || !args.file) {
+    console.error(USAGE);
+    return args.help ? 0 : 2;
+  }
+
+  const bytecode = new Uint8Array(fs.readFileSync(args.file));
+  const result = await runBytecode(bytecode, args.options);
+
+  if (args.jsonPath !== '-') {
+    process.stdout.write(result.output);
+  }
+  process.stderr.write(result.errors);
+  for (const warning of result.warnings) {
+    console.error(`[headless] warning: ${warning}`);
+  }
+
+  if (args.jsonPath) {
+    const json = JSON.stringify(result, null, 2) + '\n';
+    if (args.jsonPath === '-') {
+      process.stdout.write(json);
+    } else {
+      fs.writeFileSync(args.jsonPath, json);
+    }
+  }
+
+  const ending = result.timedOut ? 'time limit reached' : `return: ${result.result}`;
+  console.error(`[headless] ${ending}, VM time ${result.time} ms, ${result.frames.length} frames`);
+  return result.timedOut || result.result === 0 ? 0 : 1;
+}
+
+main().then((status) => {
+  process.exitCode = status;
+}, (error) => {
+  console.error(`[headless] ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,336 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * Headless Runner - Runs mruby/c bytecode under Node without a browser
+ * The simulator scripts are evaluated in a fresh VM context per run and the
+ * board module's API drives an in-memory board instead of its UI: PIXELS.set
+ * writes a back buffer, PIXELS.update shows it and records a frame, and push
+ * buttons follow a scripted input schedule. The VM
+ * clock is free-running (see VMController), so a program produces the same
+ * output and frames on every run regardless of machine speed.
+ *
+ * Programs that loop forever are stopped by the time limit, which only
+ * counts VM time spent in sleeps; a loop that never sleeps never returns.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+
+const SIMULATOR_DIR = path.join(__dirname, '..');
+const DEFAULT_BOARD_ID = 'xiao-nrf54l15';
+const DEFAULT_TIME_LIMIT_MS = 10000;
+
+// Scripts shared with the browser simulator, in load order
+const RUNTIME_SCRIPTS = [
+  'mrubyc/mrubyc.js',
+  'lib/mrubyc-wasm-api.js',
+  'lib/api-registrar.js',
+  'lib/vm-controller.js',
+  'lib/board-package.js'
+];
+
+let wasmBinary = null;
+
+/**
+ * In-memory replacement for a board UI
+ * Implements the UI methods that the board API handlers call.
+ */
+class HeadlessBoard {
+  /**
+   * @param {Object} config - The board configuration object
+   * @param {Array<{time: number, part: string, down: boolean}>} inputEvents - Scripted button levels
+   * @param {function(): number} getTime - Returns the current VM time in milliseconds
+   */
+  constructor(config, inputEvents, getTime) {
+    this.config = config;
+    this.getTime = getTime;
+    this.pixels = [];
+    this.backBuffer = [];
+    this.pixelUpdateState = { pending: false, updated: false };
+    this.leds = {};
+    this.inputs = {};
+    this.frames = [];
+    this.inputEvents = [...inputEvents].sort((a, b) => a.time - b.time);
+    this.nextInputEvent = 0;
+
+    this.resetPixels();
+    for (const led of config.leds || []) {
+      this.leds[led.part] = !!led.activeLow;
+    }
+    for (const input of config.inputs || []) {
+      this.inputs[input.part] = { down: false, pressed: false, released: false };
+    }
+  }
+
+  /**
+   * Turn all pixels off
+   */
+  resetPixels() {
+    this.pixels = [];
+    this.backBuffer = [];
+    for (let i = 0; i < this.config.ui.totalPixels; i++) {
+      this.pixels.push([0, 0, 0]);
+      this.backBuffer.push([0, 0, 0]);
+    }
+  }
+
+  /**
+   * Set the color of a pixel in the back buffer
+   * @param {number} index - The pixel index (0-based)
+   * @param {number} red - Red component (0-255)
+   * @param {number} green - Green component (0-255)
+   * @param {number} blue - Blue component (0-255)
+   */
+  setPixelColor(index, red, green, blue) {
+    if (index >= 0 && index < this.backBuffer.length) {
+      this.backBuffer[index] = [red, green, blue];
+      this.pixelUpdateState.pending = true;
+    }
+  }
+
+  /**
+   * Show the back buffer and record it with the LED states as a frame
+   */
+  updatePixels() {
+    this.pixels = this.backBuffer.map(pixel => [...pixel]);
+    this.pixelUpdateState.pending = false;
+    this.pixelUpdateState.updated = true;
+    this.frames.push({
+      time: this.getTime(),
+      pixels: this.pixels.map(pixel => [...pixel]),
+      leds: { ...this.leds }
+    });
+  }
+
+  /**
+   * Start tracking PIXELS.update calls for a new program
+   */
+  resetPixelUpdateState() {
+    this.pixelUpdateState = { pending: false, updated: false };
+  }
+
+  /**
+   * Check if the program has set pixels but never called PIXELS.update
+   * @returns {boolean} True if nothing the program set has been shown
+   */
+  isPixelUpdateMissing() {
+    return this.pixelUpdateState.pending && !this.pixelUpdateState.updated;
+  }
+
+  /**
+   * Set the pin state of an on-board LED
+   * @param {string} part - The part name (e.g. 'led1')
+   * @param {boolean} state - Pin state as passed to LED.set
+   */
+  setLEDState(part, state) {
+    if (part in this.leds) {
+      this.leds[part] = state;
+    }
+  }
+
+  /**
+   * Turn all on-board LEDs off
+   */
+  resetLEDs() {
+    for (const led of this.config.leds || []) {
+      this.leds[led.part] = !!led.activeLow;
+    }
+  }
+
+  /**
+   * Apply the scripted input events that are due at the current VM time
+   */
+  applyInputEvents() {
+    const now = this.getTime();
+    while (this.nextInputEvent < this.inputEvents.length &&
+        this.inputEvents[this.nextInputEvent].time <= now) {
+      const event = this.inputEvents[this.nextInputEvent++];
+      const state = this.inputs[event.part];
+      if (state && state.down !== event.down) {
+        state.down = event.down;
+        state[event.down ? 'pressed' : 'released'] = true;
+      }
+    }
+  }
+
+  /**
+   * Read and clear a latched edge of a push button
+   * @param {string} part - The part name (e.g. 'sw1')
+   * @param {string} edge - 'pressed' or 'released'
+   * @returns {boolean} True if the edge occurred since the last read
+   */
+  consumeInputEdge(part, edge) {
+    this.applyInputEvents();
+    const state = this.inputs[part];
+    if (!state || !state[edge]) {
+      return false;
+    }
+    state[edge] = false;
+    return true;
+  }
+
+  /**
+   * Clear all latched edges, keeping the current button levels
+   */
+  resetInputs() {
+    for (const state of Object.values(this.inputs)) {
+      state.pressed = false;
+      state.released = false;
+    }
+  }
+}
+
+/**
+ * Create a VM context with the simulator scripts loaded
+ * @returns {Object} The context's global object
+ */
+function createContext() {
+  const sandbox = {
+    console: console,
+    performance: performance,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    TextDecoder: TextDecoder,
+    URL: URL
+  };
+  // WebAssembly is not passed in: the context's own one throws errors from
+  // the context's realm, which the Emscripten runtime checks with instanceof
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+
+  const runScript = (script) => {
+    const filename = path.join(SIMULATOR_DIR, script);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), sandbox, { filename: filename });
+  };
+  RUNTIME_SCRIPTS.forEach(runScript);
+  return sandbox;
+}
+
+/**
+ * Import the module of a board package
+ * Boards are board packages, validated as in the browser. Only config and
+ * defineAPI are used, which do not touch the DOM; for the same reason the
+ * ui script of a formatVersion 1 package is not run.
+ * @param {Object} context - Context created by createContext
+ * @param {string} boardId - Board directory name under boards/
+ * @returns {Promise<Object>} The board module
+ * @throws {Error} If the board package cannot be read or is invalid
+ */
+async function loadBoardModule(context, boardId) {
+  const packageDir = path.join(SIMULATOR_DIR, 'boards', boardId);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(packageDir, context.BOARD_MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read board package ${boardId}: ${error.message}`);
+  }
+  let errors = context.validateBoardManifest(manifest);
+  if (errors.length > 0) {
+    throw new Error(`Invalid board package ${boardId}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  if (manifest.formatVersion === 1) {
+    for (const role of context.CLASSIC_BOARD_SCRIPT_ROLES.filter(role => role !== 'ui')) {
+      const filename = path.join(packageDir, manifest.scripts[role]);
+      vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+    }
+    return context.adaptClassicBoard(context);
+  }
+
+  const board = await import(pathToFileURL(path.join(packageDir, manifest.module)).href);
+  errors = context.validateBoardModule(board);
+  if (errors.length > 0) {
+    throw new Error(`Invalid board module ${boardId}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return board;
+}
+
+/**
+ * Run mruby/c bytecode headlessly
+ * @param {Uint8Array} bytecode - Compiled mruby/c bytecode (.mrb)
+ * @param {Object} [options] - Run options
+ * @param {string} [options.board='xiao-nrf54l15'] - Board directory name under boards/
+ * @param {number} [options.timeLimit=10000] - VM time after which the program is stopped, in milliseconds
+ * @param {Array<{time: number, part: string, down: boolean}>} [options.inputs] - Button levels to apply at VM times
+ * @returns {Promise<{result: number|null, timedOut: boolean, time: number, output: string, errors: string,
+ *   warnings: string[], frames: Array<{time: number, pixels: number[][], leds: Object<string, boolean>}>,
+ *   pixels: number[][], leds: Object<string, boolean>}>} Outcome of the run
+ */
+async function runBytecode(bytecode, options) {
+  options = options || {};
+  const boardId = options.board || DEFAULT_BOARD_ID;
+  const timeLimit = options.timeLimit === undefined ? DEFAULT_TIME_LIMIT_MS : options.timeLimit;
+
+  if (!wasmBinary) {
+    wasmBinary = fs.readFileSync(path.join(SIMULATOR_DIR, 'mrubyc/mrubyc.wasm'));
+  }
+
+  const context = createContext();
+  const boardModule = await loadBoardModule(context, boardId);
+  const registrar = new context.ApiRegistrar();
+  let output = '';
+  let errors = '';
+  let boardAPI = null;
+  const controller = new context.VMController({
+    wasmBinary: wasmBinary,
+    realtime: false,
+    onOutput: (text) => {
+      output += text;
+    },
+    onError: (text) => {
+      errors += text;
+    },
+    onTaskCreated: (module) => {
+      registrar.register(module, boardAPI);
+    }
+  });
+  const board = new HeadlessBoard(boardModule.config, options.inputs || [],
+    () => controller.getVirtualTime());
+  boardAPI = boardModule.defineAPI(board);
+
+  const mrubycModule = await controller.createModule();
+
+  const bytecodePtr = mrubycModule._malloc(bytecode.length);
+  if (!bytecodePtr) {
+    throw new Error('Memory allocation failed in WebAssembly module.');
+  }
+  let outcome;
+  try {
+    const heapU8 = new Uint8Array(mrubycModule.wasmMemory.buffer);
+    heapU8.set(bytecode, bytecodePtr);
+    outcome = await controller.run(bytecodePtr, bytecode.length, timeLimit);
+  } finally {
+    mrubycModule._free(bytecodePtr);
+  }
+
+  const warnings = [];
+  if (board.isPixelUpdateMissing()) {
+    warnings.push('The program sets pixels but never calls PIXELS.update; ' +
+      'the matrix only shows pixels after PIXELS.update.');
+  }
+
+  return {
+    result: outcome.result,
+    timedOut: outcome.stopped,
+    time: controller.getVirtualTime(),
+    output: output,
+    errors: errors,
+    warnings: warnings,
+    frames: board.frames,
+    pixels: board.pixels,
+    leds: board.leds
+  };
+}
+
+module.exports = {
+  runBytecode,
+  HeadlessBoard,
+  DEFAULT_TIME_LIMIT_MS
+};
@@ -0,0 +1,329 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * API Registrar - Defines board Ruby APIs from a declarative manifest
+ * Board packages describe their classes and methods as a table; the
+ * registrar wires the WASM callbacks, validates and converts arguments,
+ * reports argument errors and converts return values.
+ *
+ * The bundled mruby/c WASM build cannot raise exceptions from a callback, so
+ * an invalid call is printed to the error console and returns the method's
+ * `invalid` value instead; the program keeps running.
+ *
+ * Manifest format (array of class entries):
+ *   {
+ *     className: 'Pixels',
+ *     instance: 'PIXELS',          // optional: global constant holding an instance;
+ *                                  // without it methods are called on the class itself
+ *     onRegister: () => {},        // optional: called each time the API is defined
+ *     methods: [{
+ *       name: 'set',
+ *       params: [
+ *         { name: 'index', type: 'int' },
+ *         { name: 'part', type: 'symbol', keyword: true, values: ['sw1'] },
+ *         { name: 'state', type: 'bool', keyword: true, optional: true, default: false }
+ *       ],
+ *       returns: 'bool',           // 'nil' | 'bool' | 'int' | 'float'
+ *       invalid: false,            // optional: returned when the arguments are invalid
+ *                                  // or the handler throws (nil by default)
+ *       handler: (args) => true    // args is keyed by parameter name
+ *     }]
+ *   }
+ *
+ * Parameter types: 'int' (Integer or Float, truncated), 'float' (Integer or Float),
+ * 'bool' (any value, Ruby truthiness), 'symbol' (one of `values`), 'string', 'array'
+ * and 'any' (converted with MrubycWasmAPI#readValue).
+ *
+ * Keyword names and symbol `values` are interned when the manifest is
+ * registered; other symbols read as null (see MrubycWasmAPI#internSymbol).
+ */
+
+/**
+ * Error thrown while parsing arguments
+ */
+class ApiArgumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiArgumentError';
+  }
+}
+
+class ApiRegistrar {
+  constructor() {
+    this.registeredCallbacks = [];
+    this.instances = [];
+    this.api = null;
+  }
+
+  /**
+   * Define all classes and methods of a manifest
+   * Callbacks are swapped atomically: new callbacks are registered and
+   * methods are updated BEFORE the old callbacks are removed, so the classes
+   * always point to valid function pointers during board switching.
+   * Call after bytecode is loaded but before execution so symbol IDs match.
+   * @param {Object} mrubycModule - The mruby/c WASM module instance
+   * @param {Array<Object>} manifest - Class entries (see file header)
+   */
+  register(mrubycModule, manifest) {
+    const api = new MrubycWasmAPI(mrubycModule);
+
+    // Free the previous instances to prevent memory leaks
+    this.freeInstances();
+    this.api = api;
+
+    const oldCallbacks = [...this.registeredCallbacks];
+    this.registeredCallbacks = [];
+
+    this.internSymbols(api, manifest);
+
+    const classObject = api.getClassObject();
+    for (const entry of manifest) {
+      if (typeof entry.onRegister === 'function') {
+        entry.onRegister();
+      }
+
+      // mruby/c will update the existing class if it already exists
+      const cls = api.defineClass(entry.className, classObject);
+      for (const method of entry.methods) {
+        const callback = this.createCallback(api, entry, method);
+        this.registeredCallbacks.push(callback);
+        api.defineMethod(cls, method.name, callback);
+      }
+
+      if (entry.instance) {
+        const instance = api.instanceNew(cls);
+        if (instance) {
+          this.instances.push(instance);
+          api.setGlobalConst(entry.instance, instance);
+        } else {
+          console.error(`ApiRegistrar: Failed to create ${entry.className} instance`);
+        }
+      }
+    }
+
+    // NOW it's safe to remove old callbacks
+    this.removeCallbacks(mrubycModule, oldCallbacks);
+  }
+
+  /**
+   * Intern the keyword names and symbol values a manifest declares, so
+   * calls can compare the symbols they are given with them
+   * @param {MrubycWasmAPI} api - API wrapper
+   * @param {Array<Object>} manifest - Class entries (see file header)
+   */
+  internSymbols(api, manifest) {
+    for (const entry of manifest) {
+      for (const method of entry.methods) {
+        for (const param of method.params || []) {
+          if (param.keyword) {
+            api.internSymbol(param.name);
+          }
+          (param.values || []).forEach(value => api.internSymbol(value));
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove all callbacks and free instances
+   * @param {Object} mrubycModule - The mruby/c WASM module instance
+   */
+  cleanup(mrubycModule) {
+    this.freeInstances();
+    this.api = null;
+    this.removeCallbacks(mrubycModule, this.registeredCallbacks);
+    this.registeredCallbacks = [];
+  }
+
+  /**
+   * Free the instances created for global constants
+   */
+  freeInstances() {
+    if (this.api) {
+      for (const instance of this.instances) {
+        this.api.freeInstance(instance);
+      }
+    }
+    this.instances = [];
+  }
+
+  /**
+   * Remove callbacks from the WASM function table
+   * @param {Object} mrubycModule - The mruby/c WASM module instance
+   * @param {number[]} callbacks - Function pointers to remove
+   */
+  removeCallbacks(mrubycModule, callbacks) {
+    for (const callback of callbacks) {
+      try {
+        mrubycModule.removeFunction(callback);
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+    }
+  }
+
+  /**
+   * Create the WASM callback for a method
+   * Signature: void func(mrb_vm *vm, mrb_value *v, int argc)
+   * @param {MrubycWasmAPI} api - API wrapper
+   * @param {Object} entry - Class entry of the manifest
+   * @param {Object} method - Method entry of the manifest
+   * @returns {number} Function pointer
+   */
+  createCallback(api, entry, method) {
+    const label = `${entry.instance || entry.className}.${method.name}`;
+    return api.addFunction((vmPtr, vPtr, argc) => {
+      try {
+        const args = this.parseArguments(api, vPtr, argc, method.params || []);
+        const result = method.handler(args);
+        this.setReturnValue(api, vPtr, method.returns, result);
+      } catch (error) {
+        // Exceptions must not unwind through the WASM stack
+        const kind = error instanceof ApiArgumentError ? 'invalid arguments' : 'failed';
+        const result = method.invalid === undefined ? null : method.invalid;
+        this.reportError(`${label}: ${kind}: ${error.message} (returned ${result === null ? 'nil' : result})`);
+        this.setReturnValue(api, vPtr, method.returns, result);
+      }
+    }, 'viii');
+  }
+
+  /**
+   * Validate and convert the arguments of a call
+   * @param {MrubycWasmAPI} api - API wrapper
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} argc - Number of positional arguments
+   * @param {Array<Object>} params - Parameter definitions
+   * @returns {Object} Converted arguments keyed by parameter name
+   */
+  parseArguments(api, vPtr, argc, params) {
+    const positional = params.filter(param => !param.keyword);
+    const keywords = params.filter(param => param.keyword);
+    const required = positional.filter(param => !param.optional).length;
+
+    if (argc < required || argc > positional.length) {
+      const expected = required === positional.length ?
+        `${required}` : `${required}..${positional.length}`;
+      throw new ApiArgumentError(`wrong number of arguments (given ${argc}, expected ${expected})`);
+    }
+
+    const args = {};
+    positional.forEach((param, i) => {
+      args[param.name] = i < argc ?
+        this.convertValue(api, api.getValuePtr(vPtr, i + 1), param) : param.default;
+    });
+
+    let given = 0;
+    for (const param of keywords) {
+      const valuePtr = api.getKeywordArg(vPtr, argc, param.name);
+      if (valuePtr) {
+        given++;
+        args[param.name] = this.convertValue(api, valuePtr, param);
+      } else if (param.optional) {
+        args[param.name] = param.default;
+      } else {
+        throw new ApiArgumentError(`missing keyword: :${param.name}`);
+      }
+    }
+    if (api.getKeywordArgCount(vPtr, argc) > given) {
+      const known = keywords.map(param => `:${param.name}`).join(', ') || 'none';
+      throw new ApiArgumentError(`unknown keyword (accepted: ${known})`);
+    }
+
+    return args;
+  }
+
+  /**
+   * Convert a single argument according to its parameter type
+   * @param {MrubycWasmAPI} api - API wrapper
+   * @param {number} valuePtr - Pointer to the mrbc_value
+   * @param {Object} param - Parameter definition
+   * @returns {*} Converted value
+   */
+  convertValue(api, valuePtr, param) {
+    const tt = api.getValueType(valuePtr);
+    const isNumeric = tt === MRBC_TT.INTEGER || tt === MRBC_TT.FLOAT;
+
+    switch (param.type) {
+      case 'int':
+        if (!isNumeric) {
+          throw new ApiArgumentError(`${param.name} must be Integer`);
+        }
+        return Math.trunc(api.readValue(valuePtr));
+      case 'float':
+        if (!isNumeric) {
+          throw new ApiArgumentError(`${param.name} must be Float`);
+        }
+        return api.readValue(valuePtr);
+      case 'bool':
+        return api.isTruthyValue(valuePtr);
+      case 'symbol': {
+        const name = api.readSymbol(valuePtr);
+        if (tt !== MRBC_TT.SYMBOL || (param.values && !param.values.includes(name))) {
+          const accepted = (param.values || []).map(value => `:${value}`).join(', ');
+          throw new ApiArgumentError(`${param.name} must be ${accepted || 'Symbol'}`);
+        }
+        return name;
+      }
+      case 'string':
+        if (tt !== MRBC_TT.STRING) {
+          throw new ApiArgumentError(`${param.name} must be String`);
+        }
+        return api.readString(valuePtr);
+      case 'array':
+        if (tt !== MRBC_TT.ARRAY) {
+          throw new ApiArgumentError(`${param.name} must be Array`);
+        }
+        return api.readValue(valuePtr);
+      default:
+        return api.readValue(valuePtr);
+    }
+  }
+
+  /**
+   * Set the return value of a call according to the declared type
+   * @param {MrubycWasmAPI} api - API wrapper
+   * @param {number} vPtr - Pointer to the value array
+   * @param {string} type - Declared return type
+   * @param {*} result - Value returned by the handler
+   */
+  setReturnValue(api, vPtr, type, result) {
+    if (result === null || result === undefined || type === 'nil' || !type) {
+      api.setReturnNil(vPtr);
+      return;
+    }
+    switch (type) {
+      case 'bool':
+        api.setReturnBool(vPtr, !!result);
+        break;
+      case 'int':
+        api.setReturnInt(vPtr, Math.trunc(result));
+        break;
+      case 'float':
+        api.setReturnFloat(vPtr, result);
+        break;
+      default:
+        throw new Error(`unknown return type: ${type}`);
+    }
+  }
+
+  /**
+   * Print an invalid call to the error console of the VM
+   * @param {string} message - Error message
+   */
+  reportError(message) {
+    const text = `${message}\n`;
+    if (typeof window !== 'undefined' && window.mrubycError) {
+      window.mrubycError(text);
+    } else {
+      console.error(text);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.ApiRegistrar = ApiRegistrar;
+}
@@ -7,22 +7,259 @@
  * Board Loader - Dynamically loads and manages board configurations
  * Enables switching between different microcontroller boards without
  * recompiling the C/WASM code.
+ *
+ * Boards are board packages (see lib/board-package.js) discovered from the
+ * boards/index.json registry, loaded from a URL or read from a zip file.
+ * Each board is an ES module loaded with import(); its UI and API live in
+ * the instance returned by createUI, so boards never share globals.
+ * Packages of formatVersion 1 are classic scripts instead, evaluated on
+ * every switch and wrapped by adaptClassicBoard.
  */
 
+/**
+ * Path of the board registry, relative to the simulator directory
+ * @type {string}
+ */
+const BOARD_REGISTRY_PATH = 'boards/index.json';
+
+/**
+ * Manifest of boards registered with a plain directory path
+ * @type {{module: string}}
+ */
+const DEFAULT_BOARD_MANIFEST = { module: 'board.js' };
+
 class BoardLoader {
-  constructor() {
+  /**
+   * @param {string} [basePath] - Prefix for board paths, for pages hosted
+   *   outside the simulator directory (e.g. '../web-simulator/')
+   */
+  constructor(basePath) {
+    this.basePath = basePath || '';
     this.currentBoard = null;
     this.currentBoardId = null;
+    this.currentModule = null;
+    this.currentUI = null;
+    this.currentAPI = null;
+    this.currentPixelMap = null;
     this.loadedScripts = [];
+    this.boardStyles = [];
+    this.lastError = null;
     
-    // Available boards registry
-    this.availableBoards = [
-      {
-        id: 'xiao-nrf54l15',
-        name: 'XIAO nRF54L15',
-        path: 'boards/xiao-nrf54l15'
+    // Available boards registry, filled by discoverBoards and package loading
+    this.availableBoards = [];
+  }
+
+  /**
+   * Resolve a path relative to the simulator directory
+   * @param {string} path - Relative path or absolute URL
+   * @returns {string} Absolute URL
+   */
+  resolveUrl(path) {
+    return new URL(/^[a-z][a-z0-9+.-]*:/i.test(path) ? path : this.basePath + path, document.baseURI).href;
+  }
+
+  /**
+   * Fetch and parse a JSON file
+   * @param {string} url - Absolute URL
+   * @returns {Promise<*>} Parsed JSON
+   * @throws {BoardPackageError} If the file cannot be loaded or parsed
+   */
+  async fetchJSON(url) {
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new BoardPackageError(`Failed to load ${url}: ${error.message}`);
+    }
+    if (!response.ok) {
+      throw new BoardPackageError(`Failed to load ${url}: ${response.status}`);
+    }
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new BoardPackageError(`Invalid JSON in ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Register the board packages listed in the registry
+   * A broken package is reported without affecting the others.
+   * @param {string} [registryPath] - Registry path relative to the simulator directory
+   * @returns {Promise<BoardPackageError[]>} Errors of packages that could not be registered
+   * @throws {BoardPackageError} If the registry itself cannot be loaded
+   */
+  async discoverBoards(registryPath) {
+    const registryUrl = this.resolveUrl(registryPath || BOARD_REGISTRY_PATH);
+    const registry = await this.fetchJSON(registryUrl);
+    const registryErrors = validateBoardRegistry(registry);
+    if (registryErrors.length > 0) {
+      throw new BoardPackageError(`Invalid board registry ${registryUrl}`, registryErrors);
+    }
+
+    const errors = [];
+    for (const path of registry.boards) {
+      try {
+        await this.loadPackageFromUrl(new URL(path, registryUrl).href);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Register a board package from a URL
+   * @param {string} url - URL of a board.json manifest, a package directory or a .zip file
+   * @returns {Promise<Object>} The registered board info
+   * @throws {BoardPackageError} If the package cannot be loaded or is invalid
+   */
+  async loadPackageFromUrl(url) {
+    url = this.resolveUrl(url);
+    if (/\.zip([?#]|$)/i.test(url)) {
+      let response;
+      try {
+        response = await fetch(url);
+      } catch (error) {
+        throw new BoardPackageError(`Failed to load ${url}: ${error.message}`);
+      }
+      if (!response.ok) {
+        throw new BoardPackageError(`Failed to load ${url}: ${response.status}`);
+      }
+      return this.loadPackageFromZip(await response.arrayBuffer(), url);
+    }
+
+    const manifestUrl = /\.json([?#]|$)/i.test(url) ? url : new URL(BOARD_MANIFEST_FILE, url.replace(/\/?$/, '/')).href;
+    const manifest = await this.fetchJSON(manifestUrl);
+    const errors = validateBoardManifest(manifest);
+    if (errors.length > 0) {
+      throw new BoardPackageError(`Invalid board package ${manifestUrl}`, errors);
+    }
+    return this.registerBoard({
+      id: manifest.id,
+      name: manifest.name,
+      version: manifest.version,
+      description: manifest.description,
+      manifest: manifest,
+      baseUrl: new URL('.', manifestUrl).href
+    });
+  }
+
+  /**
+   * Register a board package from a zip archive
+   * The manifest may be at the root of the archive or in a single top-level directory.
+   * @param {ArrayBuffer} buffer - Zip file contents
+   * @param {string} fileName - Name of the zip file, for error messages
+   * @returns {Promise<Object>} The registered board info
+   * @throws {BoardPackageError} If the archive cannot be read or the package is invalid
+   */
+  async loadPackageFromZip(buffer, fileName) {
+    let files;
+    try {
+      files = await readZipArchive(buffer);
+    } catch (error) {
+      throw new BoardPackageError(`Cannot read ${fileName}: ${error.message}`);
+    }
+
+    const manifestPaths = [...files.keys()].filter(path => /^([^/]+\/)?board\.json$/.test(path));
+    if (manifestPaths.length !== 1) {
+      throw new BoardPackageError(`Invalid board package ${fileName}`, [
+        manifestPaths.length === 0
+          ? `${BOARD_MANIFEST_FILE} not found at the top of the archive`
+          : `more than one ${BOARD_MANIFEST_FILE} in the archive`
+      ]);
+    }
+    const prefix = manifestPaths[0].slice(0, -BOARD_MANIFEST_FILE.length);
+
+    let manifest;
+    try {
+      manifest = JSON.parse(new TextDecoder().decode(files.get(manifestPaths[0])));
+    } catch (error) {
+      throw new BoardPackageError(`Invalid JSON in ${fileName}/${manifestPaths[0]}: ${error.message}`);
+    }
+    const errors = validateBoardManifest(manifest);
+    if (errors.length === 0) {
+      for (const path of listBoardPackageFiles(manifest)) {
+        if (!files.has(prefix + path)) {
+          errors.push(`${path} is missing from the archive`);
+        }
+      }
+    }
+    if (errors.length > 0) {
+      throw new BoardPackageError(`Invalid board package ${fileName}`, errors);
+    }
+
+    // Paths inside the package, without the top-level directory
+    const packageFiles = new Map();
+    for (const [path, data] of files) {
+      if (path.startsWith(prefix)) {
+        packageFiles.set(path.slice(prefix.length), data);
+      }
+    }
+    let fileUrls = {};
+    if (manifest.formatVersion !== 1) {
+      try {
+        fileUrls = linkZipModules(packageFiles, manifest.module);
+      } catch (error) {
+        throw new BoardPackageError(`Invalid board package ${fileName}`, [error.message, ...error.errors]);
       }
-    ];
+    }
+    for (const path of listBoardPackageFiles(manifest)) {
+      fileUrls[path] = fileUrls[path] || URL.createObjectURL(new Blob([packageFiles.get(path)], {
+        type: path.endsWith('.css') ? 'text/css' : path.endsWith('.js') ? 'text/javascript' : ''
+      }));
+    }
+    return this.registerBoard({
+      id: manifest.id,
+      name: manifest.name,
+      version: manifest.version,
+      description: manifest.description,
+      manifest: manifest,
+      fileUrls: fileUrls
+    });
+  }
+
+  /**
+   * Resolve a file of a board package
+   * @param {Object} boardInfo - Registered board info
+   * @param {string} path - Path relative to the package
+   * @returns {string} URL of the file
+   */
+  resolvePackageFile(boardInfo, path) {
+    if (boardInfo.fileUrls) {
+      return boardInfo.fileUrls[path];
+    }
+    return new URL(path, boardInfo.baseUrl || this.resolveUrl(`${boardInfo.path}/`)).href;
+  }
+
+  /**
+   * Import a board module
+   * @param {string} url - Module URL
+   * @returns {Promise<Object>} Module namespace object
+   */
+  importModule(url) {
+    return import(url);
+  }
+
+  /**
+   * Evaluate a classic board script in its own function scope
+   * Such scripts export through window, so their top-level declarations
+   * can stay private and be evaluated again.
+   * @param {string} url - Script URL
+   * @returns {Promise} Resolves when the script has run
+   * @throws {BoardPackageError} If the script cannot be loaded
+   */
+  async evaluateScript(url) {
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new BoardPackageError(`Failed to load script: ${url}: ${error.message}`);
+    }
+    if (!response.ok) {
+      throw new BoardPackageError(`Failed to load script: ${url}: ${response.status}`);
+    }
+    const source = await response.text();
+    new Function(`${source}\n//# sourceURL=${url}`)();
   }
 
   /**
@@ -53,7 +290,7 @@ class BoardLoader {
   }
 
   /**
-   * Unload previously loaded board scripts
+   * Unload previously loaded scripts
    */
   unloadScripts() {
     for (const script of this.loadedScripts) {
@@ -65,28 +302,93 @@ class BoardLoader {
   }
 
   /**
-   * Load a board configuration
-   * @param {string} boardPath - Path to the board directory
-   * @returns {Promise} Resolves when all board files are loaded
+   * Load a board module
+   * @param {Object} boardInfo - Registered board info
+   * @returns {Promise<Object>} Module implementing the board interface
+   * @throws {BoardPackageError} If the module cannot be loaded or lacks exports
    */
-  async loadBoard(boardPath) {
-    // Load board configuration files in order
-    await this.loadScript(`${boardPath}/board-config.js`);
-    await this.loadScript(`${boardPath}/ui-components.js`);
-    await this.loadScript(`${boardPath}/api-definitions.js`);
+  async loadBoard(boardInfo) {
+    const manifest = boardInfo.manifest || DEFAULT_BOARD_MANIFEST;
+    const board = manifest.formatVersion === 1
+      ? await this.loadClassicBoard(boardInfo, manifest)
+      : await this.loadModuleBoard(boardInfo, manifest);
+
+    for (const path of manifest.styles || []) {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = this.resolvePackageFile(boardInfo, path);
+      document.head.appendChild(link);
+      this.boardStyles.push(link);
+    }
+    return board;
+  }
+
+  /**
+   * Import the module of a package
+   * @param {Object} boardInfo - Registered board info
+   * @param {Object} manifest - The package's manifest
+   * @returns {Promise<Object>} Module implementing the board interface
+   * @throws {BoardPackageError} If the module cannot be loaded or lacks exports
+   */
+  async loadModuleBoard(boardInfo, manifest) {
+    const url = this.resolvePackageFile(boardInfo, manifest.module);
+    let board;
+    try {
+      board = await this.importModule(url);
+    } catch (error) {
+      throw new BoardPackageError(`Failed to load board module ${manifest.module} of ${boardInfo.id}`,
+        [error.message]);
+    }
+    const errors = validateBoardModule(board);
+    if (errors.length > 0) {
+      throw new BoardPackageError(`Invalid board module ${manifest.module} of ${boardInfo.id}`, errors);
+    }
+    return board;
+  }
+
+  /**
+   * Evaluate the scripts of a formatVersion 1 package
+   * @param {Object} boardInfo - Registered board info
+   * @param {Object} manifest - The package's manifest
+   * @returns {Promise<Object>} The package's globals wrapped as a board module
+   * @throws {BoardPackageError} If a script cannot be loaded or an export is missing
+   */
+  async loadClassicBoard(boardInfo, manifest) {
+    // Globals of the previous version 1 board must not pass for this one's
+    window.BOARD_CONFIG = undefined;
+    window.BOARD_API = undefined;
+    for (const role of CLASSIC_BOARD_SCRIPT_ROLES) {
+      await this.evaluateScript(this.resolvePackageFile(boardInfo, manifest.scripts[role]));
+    }
+    const errors = [];
+    if (!window.BOARD_CONFIG || typeof window.BOARD_CONFIG !== 'object') {
+      errors.push('scripts must set window.BOARD_CONFIG');
+    }
+    if (!Array.isArray(window.BOARD_API)) {
+      errors.push('scripts must set window.BOARD_API');
+    }
+    if (typeof window.createBoardUI !== 'function') {
+      errors.push('scripts must set window.createBoardUI');
+    }
+    if (errors.length > 0) {
+      throw new BoardPackageError(`Invalid board scripts of ${boardInfo.id}`, errors);
+    }
+    return adaptClassicBoard(window);
   }
 
   /**
    * Switch to a different board
    * @param {string} boardId - The board ID to switch to
    * @param {HTMLElement} uiContainer - Container for board UI
+   * @param {Object} [host] - Callbacks passed to the board UI (see lib/board-package.js)
    * @returns {Promise<boolean>} True if switch was successful
    */
-  async switchBoard(boardId, uiContainer) {
+  async switchBoard(boardId, uiContainer, host) {
     // Find the board configuration
     const boardInfo = this.availableBoards.find(b => b.id === boardId);
     if (!boardInfo) {
-      console.error(`Board not found: ${boardId}`);
+      this.lastError = new BoardPackageError(`Board not found: ${boardId}`);
+      console.error(this.lastError.message);
       return false;
     }
 
@@ -97,53 +399,73 @@ class BoardLoader {
 
     try {
       // Load the new board
-      await this.loadBoard(boardInfo.path);
+      const board = await this.loadBoard(boardInfo);
+      const manifest = boardInfo.manifest || DEFAULT_BOARD_MANIFEST;
+      const assets = {};
+      for (const path of manifest.assets || []) {
+        assets[path] = this.resolvePackageFile(boardInfo, path);
+      }
 
-      // Store reference to loaded config
-      this.currentBoard = window.BOARD_CONFIG;
+      // Create the UI and the API manifest bound to it
+      this.currentModule = board;
+      this.currentBoard = board.config;
       this.currentBoardId = boardId;
+      this.currentPixelMap = createPixelMap(board.config.ui);
+      this.currentUI = board.createUI(uiContainer, {
+        ...host,
+        assets: assets,
+        pixelMap: this.currentPixelMap
+      });
+      this.currentAPI = board.defineAPI(this.currentUI);
 
-      // Create the UI
-      if (typeof window.createBoardUI === 'function' && uiContainer) {
-        window.createBoardUI(uiContainer, this.currentBoard);
-      }
-
-      // Note: definePixelsAPI is now called from mrubycOnTaskCreated callback
-      // after bytecode is loaded but before execution. This ensures symbol IDs
-      // match between method definitions and bytecode.
+      // Note: the board API manifest is registered from the
+      // mrubycOnTaskCreated callback after bytecode is loaded but before
+      // execution. This ensures symbol IDs match between method definitions
+      // and bytecode.
 
+      this.lastError = null;
       return true;
     } catch (error) {
       console.error(`Failed to load board ${boardId}:`, error);
+      this.lastError = error;
+      this.cleanupBoard(uiContainer);
       return false;
     }
   }
 
   /**
    * Cleanup the current board UI only
-   * Note: API callback cleanup is handled atomically within definePixelsAPI
-   * to prevent race conditions where PIXELS class methods reference invalid
-   * function pointers during board switching.
+   * Note: API callback cleanup is handled atomically within
+   * ApiRegistrar.register to prevent race conditions where class methods
+   * reference invalid function pointers during board switching.
    * @param {HTMLElement} uiContainer - Container for board UI
    */
   cleanupBoard(uiContainer) {
-    // Note: We do NOT call cleanupPixelsAPI here anymore.
-    // The cleanup of old callbacks is now handled atomically within
-    // definePixelsAPI - new callbacks are registered and methods are
-    // updated BEFORE old callbacks are removed. This ensures the PIXELS
-    // class always has valid function pointers.
+    // Note: We do NOT call ApiRegistrar.cleanup here.
+    // The cleanup of old callbacks is handled atomically within
+    // ApiRegistrar.register - new callbacks are registered and methods are
+    // updated BEFORE old callbacks are removed. This ensures the board
+    // classes always have valid function pointers.
 
     // Cleanup UI
-    if (typeof window.cleanupBoardUI === 'function' && uiContainer) {
-      window.cleanupBoardUI(uiContainer);
+    if (this.currentModule && this.currentUI) {
+      this.currentModule.dispose(this.currentUI);
+    } else if (uiContainer) {
+      uiContainer.innerHTML = '';
+    }
+
+    for (const link of this.boardStyles) {
+      link.remove();
     }
+    this.boardStyles = [];
 
-    // Clear references
+    // Clear references; board modules keep no state, so nothing else remains
+    this.currentModule = null;
     this.currentBoard = null;
     this.currentBoardId = null;
-
-    // Note: We don't unload scripts as they may be needed again
-    // and reloading them would cause issues with the function table
+    this.currentUI = null;
+    this.currentAPI = null;
+    this.currentPixelMap = null;
   }
 
   /**
@@ -154,6 +476,38 @@ class BoardLoader {
     return this.availableBoards;
   }
 
+  /**
+   * Get the error of the last failed switchBoard
+   * @returns {Error|null} A BoardPackageError (with `errors`) or an error thrown by the board module
+   */
+  getLastError() {
+    return this.lastError;
+  }
+
+  /**
+   * Get the UI instance of the current board
+   * @returns {Object|null} Value returned by the board's createUI, or null
+   */
+  getBoardUI() {
+    return this.currentUI;
+  }
+
+  /**
+   * Get the API manifest of the current board, bound to its UI
+   * @returns {Array<Object>|null} ApiRegistrar manifest, or null
+   */
+  getBoardAPI() {
+    return this.currentAPI;
+  }
+
+  /**
+   * Get the matrix position of each LED of the current board
+   * @returns {Array<{x: number, y: number}>|null} Result of createPixelMap, or null
+   */
+  getPixelMap() {
+    return this.currentPixelMap;
+  }
+
   /**
    * Get current board configuration
    * @returns {Object|null} Current board config or null
@@ -162,6 +516,14 @@ class BoardLoader {
     return this.currentBoard;
   }
 
+  /**
+   * Get the ID of the current board
+   * @returns {string|null} Current board ID or null
+   */
+  getCurrentBoardId() {
+    return this.currentBoardId;
+  }
+
   /**
    * Check if a board is currently loaded
    * @returns {boolean} True if a board is loaded
@@ -175,17 +537,27 @@ class BoardLoader {
    * @param {Object} boardInfo - Board information object
    * @param {string} boardInfo.id - Unique board ID
    * @param {string} boardInfo.name - Display name
-   * @param {string} boardInfo.path - Path to board files
+   * @param {string} [boardInfo.path] - Path to a package directory whose module is board.js
+   * @param {Object} [boardInfo.manifest] - Validated board.json of a package
+   * @param {string} [boardInfo.baseUrl] - URL of the package directory
+   * @param {Object<string, string>} [boardInfo.fileUrls] - Object URLs of the files of a zip package
+   * @returns {Object} The registered board info
    */
   registerBoard(boardInfo) {
     // Check if board already exists
     const existing = this.availableBoards.find(b => b.id === boardInfo.id);
     if (existing) {
       console.warn(`Board ${boardInfo.id} already registered, updating...`);
-      Object.assign(existing, boardInfo);
-    } else {
-      this.availableBoards.push(boardInfo);
+      for (const url of Object.values(existing.fileUrls || {})) {
+        URL.revokeObjectURL(url);
+      }
+      for (const key of ['path', 'manifest', 'baseUrl', 'fileUrls']) {
+        delete existing[key];
+      }
+      return Object.assign(existing, boardInfo);
     }
+    this.availableBoards.push(boardInfo);
+    return boardInfo;
   }
 }
 
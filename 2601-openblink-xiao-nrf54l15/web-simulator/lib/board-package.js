@@ -0,0 +1,460 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * Board Package - Manifest validation and zip reading for board packages
+ * A board package is a directory (or a zip of one) with a board.json
+ * manifest next to the board files:
+ *
+ *   {
+ *     "formatVersion": 2,
+ *     "id": "xiao-nrf54l15",          // lowercase letters, digits and '-'
+ *     "name": "XIAO nRF54L15",
+ *     "version": "1.0.0",
+ *     "description": "...",           // optional
+ *     "module": "board.js",           // ES module implementing the board interface
+ *     "styles": ["board.css"],        // optional stylesheets
+ *     "assets": ["images/pcb.png"]    // optional files, passed to createUI as host.assets
+ *   }
+ *
+ * The board module may import other modules of the package by relative path
+ * and exports:
+ *
+ *   export const config = {...};              // board configuration (id, name, ui, ...)
+ *   export function createUI(container, host) // builds the UI, returns a UI instance;
+ *                                             // host.onPixelsUpdate(pixels) reports updates,
+ *                                             // host.assets maps asset paths to URLs,
+ *                                             // host.pixelMap places the matrix LEDs
+ *                                             // (see lib/pixel-map.js)
+ *   export function defineAPI(ui)             // ApiRegistrar manifest driving that UI
+ *   export function dispose(ui)               // removes the UI and its listeners
+ *
+ * Modules keep no state of their own, so a board can be shown more than once.
+ *
+ * Packages of formatVersion 1 are classic scripts exporting window globals,
+ * evaluated in this order and wrapped as a board module by adaptClassicBoard:
+ *
+ *   "scripts": {
+ *     "config": "board-config.js",    // sets window.BOARD_CONFIG
+ *     "ui": "ui-components.js",       // sets window.createBoardUI, window.cleanupBoardUI
+ *                                     // and the UI methods as globals
+ *     "api": "api-definitions.js"     // sets window.BOARD_API, calling those globals
+ *   }
+ *
+ * They take "scripts" in place of "module" and share the page's globals, so
+ * only one of them can be shown at a time.
+ *
+ * A registry (boards/index.json) lists package directories relative to itself:
+ *
+ *   { "formatVersion": 1, "boards": ["xiao-nrf54l15"] }
+ *
+ * File paths are relative to the manifest and may not leave the package.
+ *
+ * Board code runs with the page's privileges, so packages named by a URL
+ * the page did not choose itself (?boardPackage=) are only loaded unasked
+ * from the page's origin or an allow-listed one (see isTrustedPackageUrl).
+ */
+
+/**
+ * Manifest format versions this simulator can load
+ * @type {number[]}
+ */
+const SUPPORTED_BOARD_FORMAT_VERSIONS = [1, 2];
+
+/**
+ * Registry format versions this simulator can load
+ * @type {number[]}
+ */
+const SUPPORTED_REGISTRY_FORMAT_VERSIONS = [1];
+
+/**
+ * Manifest file name inside a package
+ * @type {string}
+ */
+const BOARD_MANIFEST_FILE = 'board.json';
+
+/**
+ * Exports of a board module and their expected types
+ * @type {Object<string, string>}
+ */
+const BOARD_MODULE_EXPORTS = {
+  config: 'object',
+  createUI: 'function',
+  defineAPI: 'function',
+  dispose: 'function'
+};
+
+/**
+ * Script roles of a formatVersion 1 package, in load order
+ * @type {string[]}
+ */
+const CLASSIC_BOARD_SCRIPT_ROLES = ['config', 'ui', 'api'];
+
+/**
+ * UI methods a formatVersion 1 package exports as globals, with the names
+ * board UI instances use for them
+ * @type {string[]}
+ */
+const CLASSIC_BOARD_UI_METHODS = [
+  'setPixelColor',
+  'updatePixels',
+  'resetPixels',
+  'resetPixelUpdateState',
+  'isPixelUpdateMissing',
+  'consumeInputEdge',
+  'resetInputs',
+  'setLEDState',
+  'resetLEDs'
+];
+
+/**
+ * Error describing why a board package or registry was rejected
+ * `errors` lists every problem found, one message each.
+ */
+class BoardPackageError extends Error {
+  /**
+   * @param {string} message - Summary, e.g. naming the package
+   * @param {string[]} [errors] - Individual problems
+   */
+  constructor(message, errors) {
+    super(message);
+    this.name = 'BoardPackageError';
+    this.errors = errors || [];
+  }
+}
+
+/**
+ * Check that a path stays inside its package
+ * @param {*} path - Value to check
+ * @returns {boolean} True for a relative path without '..' segments
+ */
+function isPackagePath(path) {
+  return typeof path === 'string' && path.length > 0 && !/^[a-z][a-z0-9+.-]*:|^\//i.test(path) &&
+    !path.split('/').includes('..');
+}
+
+/**
+ * Check that a package URL comes from the page's origin or an allow-listed one
+ * @param {string} url - URL of the package, relative to pageUrl or absolute
+ * @param {string} pageUrl - URL of the page loading it
+ * @param {string[]} [trustedOrigins] - Other origins, e.g. 'https://boards.example.com'
+ * @returns {boolean} True if the package may be loaded without asking the user
+ */
+function isTrustedPackageUrl(url, pageUrl, trustedOrigins) {
+  let origin;
+  try {
+    origin = new URL(url, pageUrl).origin;
+  } catch (error) {
+    return false;
+  }
+  // Opaque origins (data:, file: pages) are never trusted
+  return origin !== 'null' &&
+    (origin === new URL(pageUrl).origin || (trustedOrigins || []).includes(origin));
+}
+
+/**
+ * Validate a board manifest
+ * @param {*} manifest - Parsed board.json
+ * @returns {string[]} Problems found; empty if the manifest is valid
+ */
+function validateBoardManifest(manifest) {
+  if (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return ['manifest must be a JSON object'];
+  }
+
+  const errors = [];
+  if (!Number.isInteger(manifest.formatVersion)) {
+    errors.push('formatVersion must be an integer');
+  } else if (!SUPPORTED_BOARD_FORMAT_VERSIONS.includes(manifest.formatVersion)) {
+    errors.push(`formatVersion ${manifest.formatVersion} is not supported ` +
+      `(supported: ${SUPPORTED_BOARD_FORMAT_VERSIONS.join(', ')})`);
+  }
+  if (typeof manifest.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(manifest.id)) {
+    errors.push('id must be a string of lowercase letters, digits and "-"');
+  }
+  if (typeof manifest.name !== 'string' || manifest.name.trim() === '') {
+    errors.push('name must be a non-empty string');
+  }
+  if (typeof manifest.version !== 'string' || !/^\d+\.\d+\.\d+/.test(manifest.version)) {
+    errors.push('version must be a version string such as "1.0.0"');
+  }
+  if (manifest.description !== undefined && typeof manifest.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  const classic = manifest.formatVersion === 1;
+  if (classic) {
+    const scripts = manifest.scripts;
+    if (scripts === null || typeof scripts !== 'object' || Array.isArray(scripts)) {
+      errors.push(`scripts must be an object with ${CLASSIC_BOARD_SCRIPT_ROLES.join(', ')}`);
+    } else {
+      for (const role of CLASSIC_BOARD_SCRIPT_ROLES) {
+        if (!isPackagePath(scripts[role])) {
+          errors.push(`scripts.${role} must be a relative path inside the package`);
+        }
+      }
+      for (const role of Object.keys(scripts)) {
+        if (!CLASSIC_BOARD_SCRIPT_ROLES.includes(role)) {
+          errors.push(`scripts.${role} is not a known script role`);
+        }
+      }
+    }
+  } else if (!isPackagePath(manifest.module) || !/\.m?js$/.test(manifest.module)) {
+    errors.push('module must be the relative path of a .js or .mjs file inside the package');
+  }
+
+  for (const list of ['styles', 'assets']) {
+    if (manifest[list] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(manifest[list])) {
+      errors.push(`${list} must be an array of paths`);
+      continue;
+    }
+    manifest[list].forEach((path, i) => {
+      if (!isPackagePath(path)) {
+        errors.push(`${list}[${i}] must be a relative path inside the package`);
+      }
+    });
+  }
+
+  const known = ['formatVersion', 'id', 'name', 'version', 'description', classic ? 'scripts' : 'module',
+    'styles', 'assets'];
+  for (const key of Object.keys(manifest)) {
+    if (!known.includes(key)) {
+      errors.push(`${key} is not a known manifest field`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a board registry
+ * @param {*} registry - Parsed boards/index.json
+ * @returns {string[]} Problems found; empty if the registry is valid
+ */
+function validateBoardRegistry(registry) {
+  if (registry === null || typeof registry !== 'object' || Array.isArray(registry)) {
+    return ['registry must be a JSON object'];
+  }
+  const errors = [];
+  if (!SUPPORTED_REGISTRY_FORMAT_VERSIONS.includes(registry.formatVersion)) {
+    errors.push(`formatVersion ${registry.formatVersion} is not supported ` +
+      `(supported: ${SUPPORTED_REGISTRY_FORMAT_VERSIONS.join(', ')})`);
+  }
+  if (!Array.isArray(registry.boards)) {
+    errors.push('boards must be an array of package paths');
+  } else {
+    registry.boards.forEach((path, i) => {
+      if (typeof path !== 'string' || path === '') {
+        errors.push(`boards[${i}] must be a package path or URL`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validate the exports of a loaded board module
+ * @param {Object} board - Module namespace object
+ * @returns {string[]} Problems found; empty if the module implements the board interface
+ */
+function validateBoardModule(board) {
+  const errors = [];
+  for (const [name, type] of Object.entries(BOARD_MODULE_EXPORTS)) {
+    if (typeof board[name] !== type || board[name] === null) {
+      errors.push(`module must export ${name} (${type})`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * List all file paths a manifest refers to
+ * @param {Object} manifest - A valid manifest
+ * @returns {string[]} Module (or scripts), style and asset paths
+ */
+function listBoardPackageFiles(manifest) {
+  return [
+    ...(manifest.formatVersion === 1
+      ? CLASSIC_BOARD_SCRIPT_ROLES.map(role => manifest.scripts[role])
+      : [manifest.module]),
+    ...(manifest.styles || []),
+    ...(manifest.assets || [])
+  ];
+}
+
+/**
+ * Wrap the globals of a formatVersion 1 package as a board module
+ * The package's scripts must have run with `scope` as their window. Without
+ * a ui script (as in the headless runner) createUI is unusable, and
+ * defineAPI installs the methods of the UI it is given as the globals the
+ * package's API calls.
+ * @param {Object} scope - Global object the scripts exported to
+ * @returns {Object} Object implementing the board module interface
+ */
+function adaptClassicBoard(scope) {
+  const config = scope.BOARD_CONFIG;
+  const api = scope.BOARD_API;
+  const createBoardUI = scope.createBoardUI;
+  const cleanupBoardUI = scope.cleanupBoardUI;
+  const methods = {};
+  for (const name of CLASSIC_BOARD_UI_METHODS) {
+    methods[name] = scope[name];
+  }
+
+  return {
+    config: config,
+    createUI(container, host) {
+      // The UI gets its own copy, so the package's config stays as loaded
+      const uiConfig = { ...config, assets: host.assets };
+      scope.onPixelsUpdate = host.onPixelsUpdate;
+      createBoardUI(container, uiConfig);
+      const ui = { container: container };
+      for (const name of CLASSIC_BOARD_UI_METHODS) {
+        if (typeof methods[name] === 'function') {
+          ui[name] = methods[name];
+        }
+      }
+      // Version 1 UIs reset to the config they are given
+      if (ui.resetPixels) {
+        ui.resetPixels = () => methods.resetPixels(uiConfig);
+      }
+      return ui;
+    },
+    defineAPI(ui) {
+      for (const name of CLASSIC_BOARD_UI_METHODS) {
+        if (typeof ui[name] === 'function') {
+          scope[name] = ui[name].bind(ui);
+        }
+      }
+      return api;
+    },
+    dispose(ui) {
+      if (typeof cleanupBoardUI === 'function') {
+        cleanupBoardUI(ui.container);
+      }
+      scope.onPixelsUpdate = undefined;
+    }
+  };
+}
+
+/**
+ * Create object URLs for the modules of a zip package
+ * Object URLs cannot resolve relative imports, so the relative specifiers of
+ * static and dynamic imports are rewritten to the object URLs of their targets.
+ * @param {Map<string, Uint8Array>} files - Package files by path
+ * @param {string} entry - Path of the module to link
+ * @returns {Object<string, string>} Object URLs of the entry module and everything it imports, by path
+ * @throws {BoardPackageError} If an import is missing or circular
+ */
+function linkZipModules(files, entry) {
+  const urls = {};
+  const decoder = new TextDecoder();
+  const link = (path, importers) => {
+    if (urls[path]) {
+      return urls[path];
+    }
+    if (importers.includes(path)) {
+      throw new BoardPackageError(`Circular import of ${path}`, [
+        [...importers, path].join(' -> ')
+      ]);
+    }
+    if (!files.has(path)) {
+      throw new BoardPackageError(`${path} is missing from the archive`,
+        importers.length > 0 ? [`imported by ${importers[importers.length - 1]}`] : []);
+    }
+
+    const source = decoder.decode(files.get(path)).replace(
+      /(\b(?:from|import)\s*\(?\s*)(['"])(\.{1,2}\/[^'"]+)\2/g,
+      (match, head, quote, specifier) => {
+        const target = new URL(specifier, `zip:/${path}`).pathname.slice(1);
+        return head + quote + link(target, [...importers, path]) + quote;
+      });
+    urls[path] = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    return urls[path];
+  };
+  link(entry, []);
+  return urls;
+}
+
+/**
+ * Read the files of a zip archive
+ * Supports stored and deflated entries, which covers archives made by
+ * common zip tools.
+ * @param {ArrayBuffer} buffer - Zip file contents
+ * @returns {Promise<Map<string, Uint8Array>>} File contents by path; directories are omitted
+ * @throws {BoardPackageError} If the archive cannot be read
+ */
+async function readZipArchive(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  // The end of central directory record is within the last 64 KiB + 22 bytes
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new BoardPackageError('Not a zip file');
+  }
+
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const files = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+      throw new BoardPackageError('Corrupt zip central directory');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+    if (flags & 0x1) {
+      throw new BoardPackageError(`Encrypted zip entries are not supported: ${name}`);
+    }
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      files.set(name, data);
+    } else if (method === 8) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      files.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+    } else {
+      throw new BoardPackageError(`Unsupported zip compression method ${method}: ${name}`);
+    }
+  }
+  return files;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.BoardPackageError = BoardPackageError;
+  window.BOARD_MANIFEST_FILE = BOARD_MANIFEST_FILE;
+  window.CLASSIC_BOARD_SCRIPT_ROLES = CLASSIC_BOARD_SCRIPT_ROLES;
+  window.isTrustedPackageUrl = isTrustedPackageUrl;
+  window.validateBoardManifest = validateBoardManifest;
+  window.validateBoardRegistry = validateBoardRegistry;
+  window.validateBoardModule = validateBoardModule;
+  window.listBoardPackageFiles = listBoardPackageFiles;
+  window.adaptClassicBoard = adaptClassicBoard;
+  window.linkZipModules = linkZipModules;
+  window.readZipArchive = readZipArchive;
+}
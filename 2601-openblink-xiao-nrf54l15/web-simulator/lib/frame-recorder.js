@@ -0,0 +1,427 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * Frame Recorder - Records the LED matrix on every PIXELS.update
+ * Frames are stamped with the simulated clock and can be exported as an
+ * animated GIF, an animated PNG (APNG) or a JSON frame dump. Consecutive
+ * identical frames are merged in the animations.
+ */
+
+/**
+ * Recording stops automatically after this many frames
+ * @type {number}
+ */
+const MAX_RECORDED_FRAMES = 10000;
+
+/**
+ * Display time of the last frame of an animation, in milliseconds
+ * @type {number}
+ */
+const LAST_FRAME_DURATION_MS = 500;
+
+/**
+ * Rendering of exported images
+ * @type {{cellSize: number, background: number[]}}
+ */
+const EXPORT_STYLE = {
+  cellSize: 16,
+  background: [240, 240, 240]
+};
+
+class FrameRecorder {
+  constructor() {
+    this.config = null;
+    this.pixelMap = [];
+    this.frames = [];
+    this.recording = false;
+    this.timeOffset = 0;
+    this.lastTime = 0;
+  }
+
+  /**
+   * Start a new recording, discarding previous frames
+   * @param {Object} config - The board configuration object
+   * @param {Array<{x: number, y: number}>} pixelMap - Matrix position of each LED index
+   *   (see lib/pixel-map.js)
+   */
+  start(config, pixelMap) {
+    this.config = config;
+    this.pixelMap = pixelMap;
+    this.frames = [];
+    this.recording = true;
+    this.timeOffset = 0;
+    this.lastTime = 0;
+  }
+
+  /**
+   * Stop recording, keeping the frames for export
+   */
+  stop() {
+    this.recording = false;
+  }
+
+  /**
+   * Check if frames are being recorded
+   * @returns {boolean} True while recording
+   */
+  isRecording() {
+    return this.recording;
+  }
+
+  /**
+   * Get the number of recorded frames
+   * @returns {number} Frame count
+   */
+  getFrameCount() {
+    return this.frames.length;
+  }
+
+  /**
+   * Record a frame
+   * @param {number} time - Simulated time of the update in milliseconds
+   * @param {Array<number[]>} pixels - [red, green, blue] of each pixel, by index
+   * @returns {boolean} False if the frame limit stopped the recording
+   */
+  addFrame(time, pixels) {
+    if (!this.recording) {
+      return true;
+    }
+
+    // The VM clock restarts with each program; keep the recording monotonic
+    if (time + this.timeOffset < this.lastTime) {
+      this.timeOffset = this.lastTime - time;
+    }
+    this.lastTime = time + this.timeOffset;
+    this.frames.push({ time: this.lastTime, pixels: pixels.map(color => [...color]) });
+
+    if (this.frames.length >= MAX_RECORDED_FRAMES) {
+      this.stop();
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Merge identical consecutive frames and compute their durations
+   * @returns {Array<{pixels: Array<number[]>, duration: number}>} Animation frames
+   */
+  getAnimationFrames() {
+    const animation = [];
+    this.frames.forEach((frame, i) => {
+      const next = this.frames[i + 1];
+      const duration = next ? next.time - frame.time : LAST_FRAME_DURATION_MS;
+      const previous = animation[animation.length - 1];
+      if (previous && JSON.stringify(previous.pixels) === JSON.stringify(frame.pixels)) {
+        previous.duration += duration;
+      } else {
+        animation.push({ pixels: frame.pixels, duration: duration });
+      }
+    });
+    return animation;
+  }
+
+  /**
+   * Render a frame as an RGB image with one round dot per pixel
+   * @param {Array<number[]>} pixels - [red, green, blue] of each pixel, by index
+   * @returns {{width: number, height: number, data: Uint8Array}} Image, 3 bytes per pixel
+   */
+  renderFrame(pixels) {
+    const cell = EXPORT_STYLE.cellSize;
+    const width = this.config.ui.matrixWidth * cell;
+    const height = this.config.ui.matrixHeight * cell;
+    const data = new Uint8Array(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+      data.set(EXPORT_STYLE.background, i * 3);
+    }
+
+    const radius = cell / 2 - 1;
+    pixels.forEach((color, index) => {
+      const { x, y } = this.pixelMap[index];
+      for (let dy = 0; dy < cell; dy++) {
+        for (let dx = 0; dx < cell; dx++) {
+          const distX = dx + 0.5 - cell / 2;
+          const distY = dy + 0.5 - cell / 2;
+          if (distX * distX + distY * distY <= radius * radius) {
+            data.set(color, ((y * cell + dy) * width + x * cell + dx) * 3);
+          }
+        }
+      }
+    });
+    return { width: width, height: height, data: data };
+  }
+
+  /**
+   * Export the recording as JSON
+   * @returns {string} JSON frame dump
+   */
+  toJSON() {
+    return JSON.stringify({
+      board: this.config.id,
+      width: this.config.ui.matrixWidth,
+      height: this.config.ui.matrixHeight,
+      frames: this.frames
+    });
+  }
+
+  /**
+   * Export the recording as an animated GIF that loops forever
+   * Each frame has its own color table; a frame holds at most one color per
+   * pixel plus the background, so it always fits in 256 colors.
+   * @returns {Uint8Array} GIF file contents
+   */
+  encodeGIF() {
+    const frames = this.getAnimationFrames();
+    const first = this.renderFrame(frames[0].pixels);
+    const bytes = [];
+    const writeWord = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+
+    // Header and logical screen descriptor without a global color table
+    bytes.push(...Array.from('GIF89a', c => c.charCodeAt(0)));
+    writeWord(first.width);
+    writeWord(first.height);
+    bytes.push(0, 0, 0);
+
+    // NETSCAPE2.0 application extension: loop forever
+    bytes.push(0x21, 0xff, 11, ...Array.from('NETSCAPE2.0', c => c.charCodeAt(0)), 3, 1);
+    writeWord(0);
+    bytes.push(0);
+
+    for (const frame of frames) {
+      const image = this.renderFrame(frame.pixels);
+      const palette = [];
+      const paletteIndex = new Map();
+      const indices = new Uint8Array(image.width * image.height);
+      for (let i = 0; i < indices.length; i++) {
+        const key = (image.data[i * 3] << 16) | (image.data[i * 3 + 1] << 8) | image.data[i * 3 + 2];
+        if (!paletteIndex.has(key)) {
+          paletteIndex.set(key, palette.length);
+          palette.push(key);
+        }
+        indices[i] = paletteIndex.get(key);
+      }
+      let tableBits = 1;
+      while ((1 << tableBits) < palette.length) {
+        tableBits++;
+      }
+
+      // Graphic control extension: delay in 1/100 s, leave frame in place
+      bytes.push(0x21, 0xf9, 4, 0x04);
+      writeWord(Math.min(Math.max(Math.round(frame.duration / 10), 2), 0xffff));
+      bytes.push(0, 0);
+
+      // Image descriptor with a local color table
+      bytes.push(0x2c);
+      writeWord(0);
+      writeWord(0);
+      writeWord(image.width);
+      writeWord(image.height);
+      bytes.push(0x80 | (tableBits - 1));
+      for (let i = 0; i < (1 << tableBits); i++) {
+        const color = palette[i] || 0;
+        bytes.push((color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff);
+      }
+
+      const minCodeSize = Math.max(tableBits, 2);
+      const data = lzwEncode(indices, minCodeSize);
+      bytes.push(minCodeSize);
+      for (let offset = 0; offset < data.length; offset += 255) {
+        const block = data.subarray(offset, offset + 255);
+        bytes.push(block.length, ...block);
+      }
+      bytes.push(0);
+    }
+
+    bytes.push(0x3b);
+    return Uint8Array.from(bytes);
+  }
+
+  /**
+   * Export the recording as an animated PNG that loops forever
+   * @returns {Promise<Uint8Array>} APNG file contents
+   */
+  async encodeAPNG() {
+    const frames = this.getAnimationFrames();
+    const first = this.renderFrame(frames[0].pixels);
+    const chunks = [Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)];
+
+    // IHDR: 8-bit truecolor
+    const header = new DataView(new ArrayBuffer(13));
+    header.setUint32(0, first.width);
+    header.setUint32(4, first.height);
+    header.setUint8(8, 8);
+    header.setUint8(9, 2);
+    chunks.push(pngChunk('IHDR', new Uint8Array(header.buffer)));
+
+    // acTL: frame count, loop forever
+    const animationControl = new DataView(new ArrayBuffer(8));
+    animationControl.setUint32(0, frames.length);
+    animationControl.setUint32(4, 0);
+    chunks.push(pngChunk('acTL', new Uint8Array(animationControl.buffer)));
+
+    let sequence = 0;
+    for (let i = 0; i < frames.length; i++) {
+      const image = this.renderFrame(frames[i].pixels);
+
+      // fcTL: full-size frame with its delay in milliseconds
+      const frameControl = new DataView(new ArrayBuffer(26));
+      frameControl.setUint32(0, sequence++);
+      frameControl.setUint32(4, image.width);
+      frameControl.setUint32(8, image.height);
+      frameControl.setUint16(20, Math.min(Math.max(Math.round(frames[i].duration), 1), 0xffff));
+      frameControl.setUint16(22, 1000);
+      chunks.push(pngChunk('fcTL', new Uint8Array(frameControl.buffer)));
+
+      // Scanlines with filter type 0
+      const stride = image.width * 3;
+      const raw = new Uint8Array((stride + 1) * image.height);
+      for (let y = 0; y < image.height; y++) {
+        raw.set(image.data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+      }
+      const compressed = await deflate(raw);
+
+      if (i === 0) {
+        chunks.push(pngChunk('IDAT', compressed));
+      } else {
+        const frameData = new Uint8Array(4 + compressed.length);
+        new DataView(frameData.buffer).setUint32(0, sequence++);
+        frameData.set(compressed, 4);
+        chunks.push(pngChunk('fdAT', frameData));
+      }
+    }
+
+    chunks.push(pngChunk('IEND', new Uint8Array(0)));
+    return concatBytes(chunks);
+  }
+}
+
+/**
+ * LZW-compress color indices for GIF image data
+ * @param {Uint8Array} indices - Color index of each pixel
+ * @param {number} minCodeSize - LZW minimum code size (2-8)
+ * @returns {Uint8Array} Compressed data, before splitting into sub-blocks
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === 4096) {
+      // Table full: start over
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      // The decoder widens its codes one entry later than the encoder adds them
+      if (nextCode >= (1 << codeSize)) {
+        codeSize++;
+      }
+      table.set(key, nextCode++);
+    }
+    prefix = indices[i];
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) {
+    output.push(bitBuffer & 0xff);
+  }
+  return Uint8Array.from(output);
+}
+
+/**
+ * CRC-32 lookup table used by PNG chunks
+ * @type {Uint32Array}
+ */
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Length, type, data and CRC
+ */
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+
+  let crc = 0xffffffff;
+  for (let i = 4; i < 8 + data.length; i++) {
+    crc = CRC32_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+  }
+  view.setUint32(8 + data.length, (crc ^ 0xffffffff) >>> 0);
+  return chunk;
+}
+
+/**
+ * Compress data in the zlib format used by PNG
+ * @param {Uint8Array} data - Raw data
+ * @returns {Promise<Uint8Array>} Compressed data
+ */
+async function deflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Uint8Array[]} parts - Arrays to join
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.FrameRecorder = FrameRecorder;
+}
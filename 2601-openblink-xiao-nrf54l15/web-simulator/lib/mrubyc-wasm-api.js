@@ -0,0 +1,559 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * mruby/c WASM API wrapper
+ * Thin JavaScript layer over the C functions exported by mrubyc.wasm and
+ * the value layout of its 32-bit build. Shared by all board packages.
+ */
+
+/**
+ * Size in bytes of mrbc_value in the mruby/c WASM build (32-bit target).
+ * The type tag is the first byte and the payload starts at offset 4.
+ * @type {number}
+ */
+const MRBC_VALUE_SIZE = 8;
+
+/**
+ * Offset of the payload (integer, float, symbol ID or object pointer) in mrbc_value
+ * @type {number}
+ */
+const MRBC_VALUE_PAYLOAD_OFFSET = 4;
+
+/**
+ * mrbc_vtype type tags
+ * @enum {number}
+ */
+const MRBC_TT = {
+  EMPTY: 0,
+  NIL: 1,
+  FALSE: 2,
+  TRUE: 3,
+  INTEGER: 4,
+  FLOAT: 5,
+  SYMBOL: 6,
+  CLASS: 7,
+  MODULE: 8,
+  OBJECT: 9,
+  PROC: 10,
+  ARRAY: 11,
+  STRING: 12,
+  RANGE: 13,
+  HASH: 14
+};
+
+/**
+ * Field offsets of the heap objects read from JavaScript.
+ * RArray and RHash share a layout: object header (4 bytes), data_size (u16),
+ * n_stored (u16), data (pointer). RString: header, size (u16), data (pointer).
+ * A Hash stores keys and values alternately and n_stored counts both.
+ * RClass: sym_id (i16), num_builtin_method (i16), super, method_link.
+ * RMethod: type (u8), c_func (u8), sym_id (i16), func, next.
+ * @type {Object<string, number>}
+ */
+const MRBC_OBJECT_OFFSET = {
+  ARRAY_N_STORED: 6,
+  ARRAY_DATA: 8,
+  STRING_SIZE: 4,
+  STRING_DATA: 8,
+  CLASS_METHOD_LINK: 8,
+  METHOD_SYM_ID: 2,
+  METHOD_FUNC: 4
+};
+
+/**
+ * Class whose methods register symbol names (see MrubycWasmAPI#internSymbol).
+ * The lowercase name cannot be a Ruby constant, so scripts cannot reach it.
+ * @type {string}
+ */
+const MRBC_SYMBOL_CLASS_NAME = 'openblink_symbols';
+
+/**
+ * Function pointer stored in the methods of the symbol class; they are never
+ * called, and the marker confirms the method layout.
+ * @type {number}
+ */
+const MRBC_SYMBOL_METHOD_MARKER = 0x7fffffff;
+
+/**
+ * Symbol IDs interned through the wrapper, per WASM module instance
+ * @type {WeakMap<Object, {ids: Map<string, number>, names: Map<number, string>}>}
+ */
+const mrbcSymbolTables = new WeakMap();
+
+/**
+ * mruby/c WASM API wrapper class
+ * Provides a clean JavaScript interface to the mruby/c WASM functions.
+ * This abstraction layer ensures compatibility with future mruby/c versions
+ * by isolating the direct WASM calls.
+ */
+class MrubycWasmAPI {
+  /**
+   * @param {Object} module - The mruby/c WASM module instance
+   */
+  constructor(module) {
+    this.module = module;
+    if (!mrbcSymbolTables.has(module)) {
+      mrbcSymbolTables.set(module, { ids: new Map(), names: new Map() });
+    }
+    this.symbols = mrbcSymbolTables.get(module);
+  }
+
+  /**
+   * Get a DataView over the current WASM memory
+   * (the buffer is replaced whenever the memory grows)
+   * @returns {DataView} View of the whole linear memory
+   */
+  memoryView() {
+    return new DataView(this.module.wasmMemory.buffer);
+  }
+
+  /**
+   * Get the Object class pointer
+   * @returns {number} Pointer to the Object class
+   */
+  getClassObject() {
+    return this.module._mrbc_wasm_get_class_object();
+  }
+
+  /**
+   * Define a new class
+   * @param {string} name - Class name
+   * @param {number} superClass - Pointer to super class
+   * @returns {number} Pointer to the newly created class
+   */
+  defineClass(name, superClass) {
+    return this.module.ccall(
+      'mrbc_wasm_define_class',
+      'number',
+      ['string', 'number'],
+      [name, superClass]
+    );
+  }
+
+  /**
+   * Define a method for a class
+   * @param {number} cls - Pointer to the class
+   * @param {string} name - Method name
+   * @param {number} func - Pointer to the callback function
+   */
+  defineMethod(cls, name, func) {
+    this.module.ccall(
+      'mrbc_wasm_define_method',
+      null,
+      ['number', 'string', 'number'],
+      [cls, name, func]
+    );
+  }
+
+  /**
+   * Get an integer argument from method call
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} index - Argument index (1-based)
+   * @returns {number} Integer value
+   */
+  getIntArg(vPtr, index) {
+    return this.module._mrbc_wasm_get_int_arg(vPtr, index);
+  }
+
+  /**
+   * Get a float argument from method call
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} index - Argument index (1-based)
+   * @returns {number} Float value
+   */
+  getFloatArg(vPtr, index) {
+    return this.module._mrbc_wasm_get_float_arg(vPtr, index);
+  }
+
+  /**
+   * Check if an argument is numeric
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} index - Argument index (1-based)
+   * @returns {boolean} True if numeric
+   */
+  isNumericArg(vPtr, index) {
+    return this.module._mrbc_wasm_is_numeric_arg(vPtr, index) !== 0;
+  }
+
+  /**
+   * Get a pointer to an argument value
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} index - Argument index (1-based, 0 is the receiver)
+   * @returns {number} Pointer to the mrbc_value
+   */
+  getValuePtr(vPtr, index) {
+    return vPtr + index * MRBC_VALUE_SIZE;
+  }
+
+  /**
+   * Get the type tag of a value
+   * @param {number} valuePtr - Pointer to the mrbc_value
+   * @returns {number} One of MRBC_TT
+   */
+  getValueType(valuePtr) {
+    return this.memoryView().getUint8(valuePtr);
+  }
+
+  /**
+   * Get the type tag of an argument
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} index - Argument index (1-based)
+   * @returns {number} One of MRBC_TT
+   */
+  getArgType(vPtr, index) {
+    return this.getValueType(this.getValuePtr(vPtr, index));
+  }
+
+  /**
+   * Check if a value is truthy in Ruby terms (anything but nil and false)
+   * @param {number} valuePtr - Pointer to the mrbc_value
+   * @returns {boolean} True if truthy
+   */
+  isTruthyValue(valuePtr) {
+    const tt = this.getValueType(valuePtr);
+    return tt !== MRBC_TT.EMPTY && tt !== MRBC_TT.NIL && tt !== MRBC_TT.FALSE;
+  }
+
+  /**
+   * Get the symbol ID for a name, registering the symbol if needed.
+   * The WASM build exports no symbol lookup (mrbc_str_to_symid), but defining
+   * a method registers its name in the symbol table, so the name is defined
+   * as a method of the symbol class and the ID is read from the new method.
+   * As this depends on the RClass/RMethod layout and adds a method per name,
+   * it is only called for the names a board API declares, once per module,
+   * when the API is registered (see ApiRegistrar#register). Symbols cannot
+   * be returned to Ruby until the WASM build exports the lookup.
+   * @param {string} name - Symbol name without the leading colon
+   * @returns {number} Symbol ID
+   * @throws {Error} If the method layout is not the expected one
+   */
+  internSymbol(name) {
+    const symbols = this.symbols;
+    if (symbols.ids.has(name)) {
+      return symbols.ids.get(name);
+    }
+    // Returns the existing class after the first call
+    const cls = this.defineClass(MRBC_SYMBOL_CLASS_NAME, this.getClassObject());
+    this.defineMethod(cls, name, MRBC_SYMBOL_METHOD_MARKER);
+    const view = this.memoryView();
+    const method = view.getUint32(cls + MRBC_OBJECT_OFFSET.CLASS_METHOD_LINK, true);
+    if (!method ||
+        view.getUint32(method + MRBC_OBJECT_OFFSET.METHOD_FUNC, true) !== MRBC_SYMBOL_METHOD_MARKER) {
+      throw new Error('internSymbol: unexpected method layout in this mruby/c WASM build');
+    }
+    const symbolId = view.getInt16(method + MRBC_OBJECT_OFFSET.METHOD_SYM_ID, true);
+    symbols.ids.set(name, symbolId);
+    symbols.names.set(symbolId, name);
+    return symbolId;
+  }
+
+  /**
+   * Resolve the name of a symbol value.
+   * The WASM build cannot map symbol IDs back to names, so only names that
+   * were interned through internSymbol can be resolved.
+   * @param {number} valuePtr - Pointer to the mrbc_value
+   * @returns {string|null} Symbol name, or null if it is not a known symbol
+   */
+  readSymbol(valuePtr) {
+    if (this.getValueType(valuePtr) !== MRBC_TT.SYMBOL) {
+      return null;
+    }
+    const symbolId = this.memoryView().getInt16(valuePtr + MRBC_VALUE_PAYLOAD_OFFSET, true);
+    return this.symbols.names.has(symbolId) ? this.symbols.names.get(symbolId) : null;
+  }
+
+  /**
+   * Read a String value
+   * @param {number} valuePtr - Pointer to the mrbc_value
+   * @returns {string|null} The string, or null if the value is not a String
+   */
+  readString(valuePtr) {
+    if (this.getValueType(valuePtr) !== MRBC_TT.STRING) {
+      return null;
+    }
+    const view = this.memoryView();
+    const str = view.getUint32(valuePtr + MRBC_VALUE_PAYLOAD_OFFSET, true);
+    const size = view.getUint16(str + MRBC_OBJECT_OFFSET.STRING_SIZE, true);
+    const data = view.getUint32(str + MRBC_OBJECT_OFFSET.STRING_DATA, true);
+    return this.module.UTF8ToString(data, size);
+  }
+
+  /**
+   * Get pointers to the stored elements of an Array or Hash value
+   * @param {number} valuePtr - Pointer to the mrbc_value
+   * @returns {number[]} Pointers to the element values
+   */
+  getElementPtrs(valuePtr) {
+    const view = this.memoryView();
+    const obj = view.getUint32(valuePtr + MRBC_VALUE_PAYLOAD_OFFSET, true);
+    const nStored = view.getUint16(obj + MRBC_OBJECT_OFFSET.ARRAY_N_STORED, true);
+    const data = view.getUint32(obj + MRBC_OBJECT_OFFSET.ARRAY_DATA, true);
+    const ptrs = [];
+    for (let i = 0; i < nStored; i++) {
+      ptrs.push(data + i * MRBC_VALUE_SIZE);
+    }
+    return ptrs;
+  }
+
+  /**
+   * Convert a value to JavaScript.
+   * nil becomes null, true/false booleans, Integer and Float numbers,
+   * String strings, Symbol its name (see readSymbol), Array an array and
+   * Hash a Map. Other types (objects, procs, ranges) become undefined.
+   * @param {number} valuePtr - Pointer to the mrbc_value
+   * @returns {*} The converted value
+   */
+  readValue(valuePtr) {
+    const view = this.memoryView();
+    const payload = valuePtr + MRBC_VALUE_PAYLOAD_OFFSET;
+    switch (this.getValueType(valuePtr)) {
+      case MRBC_TT.NIL:
+        return null;
+      case MRBC_TT.FALSE:
+        return false;
+      case MRBC_TT.TRUE:
+        return true;
+      case MRBC_TT.INTEGER:
+        return view.getInt32(payload, true);
+      case MRBC_TT.FLOAT:
+        return view.getFloat32(payload, true);
+      case MRBC_TT.SYMBOL:
+        return this.readSymbol(valuePtr);
+      case MRBC_TT.STRING:
+        return this.readString(valuePtr);
+      case MRBC_TT.ARRAY:
+        return this.getElementPtrs(valuePtr).map(ptr => this.readValue(ptr));
+      case MRBC_TT.HASH: {
+        const ptrs = this.getElementPtrs(valuePtr);
+        const map = new Map();
+        for (let i = 0; i + 1 < ptrs.length; i += 2) {
+          map.set(this.readValue(ptrs[i]), this.readValue(ptrs[i + 1]));
+        }
+        return map;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Check if an argument is nil
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} index - Argument index (1-based)
+   * @returns {boolean} True if nil
+   */
+  isNilArg(vPtr, index) {
+    return this.getArgType(vPtr, index) === MRBC_TT.NIL;
+  }
+
+  /**
+   * Check if an argument is true or false
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} index - Argument index (1-based)
+   * @returns {boolean} True if boolean
+   */
+  isBoolArg(vPtr, index) {
+    const tt = this.getArgType(vPtr, index);
+    return tt === MRBC_TT.TRUE || tt === MRBC_TT.FALSE;
+  }
+
+  /**
+   * Get a boolean argument from method call, using Ruby truthiness
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} index - Argument index (1-based)
+   * @returns {boolean} False for nil and false, true otherwise
+   */
+  getBoolArg(vPtr, index) {
+    return this.isTruthyValue(this.getValuePtr(vPtr, index));
+  }
+
+  /**
+   * Get a symbol argument from method call
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} index - Argument index (1-based)
+   * @returns {string|null} Symbol name, or null (see readSymbol)
+   */
+  getSymbolArg(vPtr, index) {
+    return this.readSymbol(this.getValuePtr(vPtr, index));
+  }
+
+  /**
+   * Get a string argument from method call
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} index - Argument index (1-based)
+   * @returns {string|null} The string, or null if not a String
+   */
+  getStringArg(vPtr, index) {
+    return this.readString(this.getValuePtr(vPtr, index));
+  }
+
+  /**
+   * Get an array argument from method call, converted with readValue
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} index - Argument index (1-based)
+   * @returns {Array|null} The elements, or null if not an Array
+   */
+  getArrayArg(vPtr, index) {
+    const valuePtr = this.getValuePtr(vPtr, index);
+    if (this.getValueType(valuePtr) !== MRBC_TT.ARRAY) {
+      return null;
+    }
+    return this.readValue(valuePtr);
+  }
+
+  /**
+   * Check if a value is the given symbol
+   * @param {number} valuePtr - Pointer to the mrbc_value
+   * @param {string} name - Symbol name without the leading colon
+   * @returns {boolean} True if the value is :name
+   * @throws {Error} If the name was not interned (see internSymbol)
+   */
+  isSymbolValue(valuePtr, name) {
+    if (!this.symbols.ids.has(name)) {
+      throw new Error(`symbol :${name} was not interned when the API was registered`);
+    }
+    return this.readSymbol(valuePtr) === name;
+  }
+
+  /**
+   * Get a keyword argument from method call.
+   * mruby/c passes keyword arguments as a Hash right after the positional
+   * arguments; without keywords that slot holds the block (nil or a Proc).
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} argc - Number of positional arguments
+   * @param {string} name - Keyword name without the trailing colon
+   * @returns {number} Pointer to the value, or 0 if the keyword is not given
+   */
+  getKeywordArg(vPtr, argc, name) {
+    const hashValuePtr = this.getValuePtr(vPtr, argc + 1);
+    if (this.getValueType(hashValuePtr) !== MRBC_TT.HASH) {
+      return 0;
+    }
+    const ptrs = this.getElementPtrs(hashValuePtr);
+    for (let i = 0; i + 1 < ptrs.length; i += 2) {
+      if (this.isSymbolValue(ptrs[i], name)) {
+        return ptrs[i + 1];
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Get the number of keyword arguments passed to a method call
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} argc - Number of positional arguments
+   * @returns {number} Number of keywords, 0 if none were given
+   */
+  getKeywordArgCount(vPtr, argc) {
+    const hashValuePtr = this.getValuePtr(vPtr, argc + 1);
+    if (this.getValueType(hashValuePtr) !== MRBC_TT.HASH) {
+      return 0;
+    }
+    return Math.floor(this.getElementPtrs(hashValuePtr).length / 2);
+  }
+
+  /**
+   * Get a keyword argument converted with readValue
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} argc - Number of positional arguments
+   * @param {string} name - Keyword name without the trailing colon
+   * @returns {*} The converted value, or undefined if the keyword is not given
+   */
+  getKeywordValue(vPtr, argc, name) {
+    const valuePtr = this.getKeywordArg(vPtr, argc, name);
+    return valuePtr ? this.readValue(valuePtr) : undefined;
+  }
+
+  /**
+   * Set return value to boolean
+   * @param {number} vPtr - Pointer to the value array
+   * @param {boolean} val - Boolean value
+   */
+  setReturnBool(vPtr, val) {
+    this.module._mrbc_wasm_set_return_bool(vPtr, val ? 1 : 0);
+  }
+
+  /**
+   * Set return value to nil
+   * @param {number} vPtr - Pointer to the value array
+   */
+  setReturnNil(vPtr) {
+    this.module._mrbc_wasm_set_return_nil(vPtr);
+  }
+
+  /**
+   * Set return value to integer
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} val - Integer value
+   */
+  setReturnInt(vPtr, val) {
+    this.module._mrbc_wasm_set_return_int(vPtr, val);
+  }
+
+  /**
+   * Set return value to float
+   * @param {number} vPtr - Pointer to the value array
+   * @param {number} val - Float value
+   */
+  setReturnFloat(vPtr, val) {
+    this.module._mrbc_wasm_set_return_float(vPtr, val);
+  }
+
+  /**
+   * Add a callback function to the WASM function table
+   * @param {Function} func - The callback function
+   * @param {string} signature - Function signature (e.g., 'viii')
+   * @returns {number} Function pointer
+   */
+  addFunction(func, signature) {
+    return this.module.addFunction(func, signature);
+  }
+
+  /**
+   * Remove a callback function from the WASM function table
+   * @param {number} funcPtr - Function pointer to remove
+   */
+  removeFunction(funcPtr) {
+    this.module.removeFunction(funcPtr);
+  }
+
+  /**
+   * Create a new instance of a class
+   * @param {number} cls - Pointer to the class
+   * @returns {number} Pointer to the instance
+   */
+  instanceNew(cls) {
+    return this.module._mrbc_wasm_instance_new(cls);
+  }
+
+  /**
+   * Set a global constant
+   * @param {string} name - Constant name
+   * @param {number} value - Pointer to the value
+   */
+  setGlobalConst(name, value) {
+    this.module.ccall(
+      'mrbc_wasm_set_global_const',
+      null,
+      ['string', 'number'],
+      [name, value]
+    );
+  }
+
+  /**
+   * Free an instance
+   * @param {number} instance - Pointer to the instance
+   */
+  freeInstance(instance) {
+    this.module._mrbc_wasm_free_instance(instance);
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.MrubycWasmAPI = MrubycWasmAPI;
+  window.MRBC_TT = MRBC_TT;
+}
@@ -0,0 +1,568 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * OpenBlink Peripheral - Software OpenBlink BLE device for the simulator
+ * Implements the OpenBlink GATT service of the firmware, so the WebIDE can
+ * run Build&Blink against the simulator without a radio.
+ *
+ * Program characteristic, packets written by the IDE (little endian):
+ *   [0x01]['D'][offset:u16][size:u16][payload]   - data chunk of a program
+ *   [0x01]['P'][length:u16][crc:u16][slot:u8][0] - store the received program in a slot
+ *                                                  after checking its CRC16
+ *   [0x01]['L']                                  - reload: run the program of the boot slot
+ *   [0x01]['R']                                  - soft reset
+ * Protocol version 2 widens offsets and lengths for programs over 64 KiB and
+ * manages slots:
+ *   [0x02]['D'][offset:u32][size:u16][payload]
+ *   [0x02]['P'][length:u32][crc:u16][slot:u8][0]
+ *   [0x02]['L'][slot:u8]                         - run the program of a slot
+ *   [0x02]['B'][slot:u8]                         - select the boot slot
+ * Reading the program characteristic returns the program status in the
+ * highest version, which tells the IDE that version 2 is available:
+ *   [0x02]['S'][received:u32][result:u8][0][capacity:u32][boot:u8][count:u8]
+ *   then for each slot from the first: [length:u32][crc:u16]
+ *                                                - bytes received in order from offset 0,
+ *                                                  the result of the last [P]rogram,
+ *                                                  the largest program a slot holds,
+ *                                                  the boot slot and the stored programs
+ *                                                  (length 0 for an empty slot)
+ * Console characteristic: VM output, notified in chunks of at most MTU - 3 bytes.
+ * Negotiated MTU characteristic: the ATT MTU as u16.
+ * Device info characteristic: a UTF-8 JSON object describing the device:
+ *   { "firmware": "1.0.0", "board": "xiao-nrf54l15", "protocols": [1, 2],
+ *     "slots": 2, "capacity": 262144, "freeMemory": 524288 }
+ * with the firmware version, the board variant, the supported protocol
+ * versions, the number of slots, the largest program a slot holds and the
+ * free program memory in bytes.
+ *
+ * The link to the IDE is any object with postMessage and a 'message' event
+ * (a BroadcastChannel, a MessagePort or a window). Messages are plain objects:
+ *
+ *   IDE -> device: { type: 'scan', client }
+ *                  { type: 'connect' | 'disconnect', device, client }
+ *                  { type: 'read', device, client, request, uuid }
+ *                  { type: 'write', device, client, request, uuid, value, response }
+ *                  { type: 'notifications', device, client, uuid, enabled }
+ *   device -> IDE: { type: 'advertise', device, name, services }
+ *                  { type: 'connected' | 'disconnected', device, client }
+ *                  { type: 'result', device, client, request, value, error }
+ *                  { type: 'notify', device, client, uuid, value }
+ *
+ * `device` and `client` are random ids that keep several tabs apart on a
+ * shared channel; `value` is an ArrayBuffer; a write only gets a result when
+ * `response` is set, like writeValue versus writeValueWithoutResponse.
+ */
+
+/**
+ * BroadcastChannel name shared by the simulator and the WebIDE
+ * @type {string}
+ */
+const OPENBLINK_LINK_CHANNEL = 'openblink-simulator';
+
+/**
+ * UUIDs of the OpenBlink GATT service and its characteristics
+ * @type {{service: string, program: string, console: string, negotiatedMtu: string, deviceInfo: string}}
+ */
+const OPENBLINK_UUIDS = {
+  service: '227da52c-e13a-412b-befb-ba2256bb7fbe',
+  program: 'ad9fdd56-1135-4a84-923c-ce5a244385e7',
+  console: 'a015b3de-185a-4252-aa04-7a87d38ce148',
+  negotiatedMtu: 'ca141151-3113-448b-b21a-6a6203d253ff',
+  deviceInfo: '5e3a8f1c-7b2d-4c96-a0e4-9d81b6f2c735'
+};
+
+/**
+ * ATT MTU the simulated device reports
+ * @type {number}
+ */
+const SIMULATED_ATT_MTU = 247;
+
+/**
+ * Firmware version the simulated device reports
+ * @type {string}
+ */
+const SIMULATED_FIRMWARE_VERSION = '0.3.4-sim';
+
+/**
+ * Protocol versions the device accepts, the highest last
+ * @type {number[]}
+ */
+const OPENBLINK_PROTOCOL_VERSIONS = [0x01, 0x02];
+
+/**
+ * Program slots of the firmware; slot 2 boots unless the IDE selects another
+ * @type {{first: number, count: number, boot: number, size: number}}
+ */
+const OPENBLINK_SLOTS = { first: 1, count: 2, boot: 2, size: 0x40000 };
+
+/**
+ * CRC16 parameters of the program checksum (see web-ide/crc.js)
+ * @type {{poly: number, seed: number}}
+ */
+const OPENBLINK_CRC = { poly: 0xd175, seed: 0xffff };
+
+/**
+ * Result byte of the program status
+ * @type {{receiving: number, stored: number, crcError: number, lengthError: number, slotError: number}}
+ */
+const OPENBLINK_PROGRAM_STATUS = { receiving: 0, stored: 1, crcError: 2, lengthError: 3, slotError: 4 };
+
+class OpenBlinkPeripheral {
+  /**
+   * @param {Object} options - Peripheral options
+   * @param {Object} options.port - Link to the IDE (postMessage and a 'message' event)
+   * @param {string} [options.name='OpenBlink Simulator'] - Advertised device name
+   * @param {Storage} [options.storage] - Keeps the slots across page loads, like flash
+   * @param {function(Uint8Array, number): void} [options.onReload] - Runs a stored program (bytecode, slot)
+   * @param {function(): void} [options.onReset] - Soft reset requested
+   * @param {function(string): void} [options.onLog] - Reports link and protocol events
+   * @param {function(): ?string} [options.getBoard] - Board variant reported in the device info
+   */
+  constructor(options) {
+    this.options = options;
+    this.port = options.port;
+    this.name = options.name || 'OpenBlink Simulator';
+    this.id = Math.random().toString(36).slice(2);
+    this.client = null;
+    this.notifying = false;
+    this.slots = new Map();
+    this.bootSlot = OPENBLINK_SLOTS.boot;
+    this.received = new Uint8Array(OPENBLINK_SLOTS.size);
+    this.receivedLength = 0;
+    this.result = OPENBLINK_PROGRAM_STATUS.receiving;
+    this.encoder = new TextEncoder();
+
+    this.loadSlots();
+    this.onMessage = (event) => this.handleMessage(event.data);
+    this.port.addEventListener('message', this.onMessage);
+    if (typeof this.port.start === 'function') {
+      // MessagePorts only deliver messages after start()
+      this.port.start();
+    }
+  }
+
+  /**
+   * Send a message to the IDE
+   * @param {Object} message - Message without the device id
+   */
+  post(message) {
+    this.port.postMessage({ ...message, device: this.id });
+  }
+
+  /**
+   * Report an event to the page
+   * @param {string} text - Message
+   */
+  log(text) {
+    if (typeof this.options.onLog === 'function') {
+      this.options.onLog(text);
+    }
+  }
+
+  /**
+   * Handle a message from the link
+   * @param {Object} message - See file header
+   */
+  handleMessage(message) {
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+    if (message.type === 'scan') {
+      this.post({ type: 'advertise', name: this.name, services: [OPENBLINK_UUIDS.service] });
+      return;
+    }
+    if (message.device !== this.id) {
+      return;
+    }
+
+    if (message.type === 'connect') {
+      if (this.client && this.client !== message.client) {
+        // A peripheral serves one central, as the firmware does
+        this.post({ type: 'disconnected', client: this.client });
+      }
+      // Received data is kept, so an interrupted transfer can resume
+      this.client = message.client;
+      this.notifying = false;
+      this.post({ type: 'connected', client: this.client });
+      this.log('IDE connected');
+      return;
+    }
+    if (message.client !== this.client) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'disconnect':
+        this.client = null;
+        this.notifying = false;
+        this.log('IDE disconnected');
+        break;
+      case 'notifications':
+        if (message.uuid === OPENBLINK_UUIDS.console) {
+          this.notifying = !!message.enabled;
+        }
+        break;
+      case 'read':
+        this.reply(message, () => this.read(message.uuid));
+        break;
+      case 'write':
+        this.reply(message, () => this.write(message.uuid, new Uint8Array(message.value)));
+        break;
+    }
+  }
+
+  /**
+   * Run a request and send its result when the IDE waits for one
+   * @param {Object} message - 'read' or 'write' message
+   * @param {function(): (ArrayBuffer|undefined)} operation - Performs the request
+   */
+  reply(message, operation) {
+    let value = null;
+    let error = null;
+    try {
+      value = operation() || null;
+    } catch (e) {
+      error = e.message;
+    }
+    if (message.type === 'read' || message.response) {
+      this.post({ type: 'result', client: this.client, request: message.request, value: value, error: error });
+    }
+  }
+
+  /**
+   * Read a characteristic
+   * @param {string} uuid - Characteristic UUID
+   * @returns {ArrayBuffer} Characteristic value
+   * @throws {Error} If the characteristic cannot be read
+   */
+  read(uuid) {
+    if (uuid === OPENBLINK_UUIDS.program) {
+      return this.getStatus();
+    }
+    if (uuid === OPENBLINK_UUIDS.deviceInfo) {
+      return this.encoder.encode(JSON.stringify(this.getInfo())).buffer;
+    }
+    if (uuid !== OPENBLINK_UUIDS.negotiatedMtu) {
+      throw new Error(`Characteristic ${uuid} is not readable`);
+    }
+    const value = new DataView(new ArrayBuffer(2));
+    value.setUint16(0, SIMULATED_ATT_MTU, true);
+    return value.buffer;
+  }
+
+  /**
+   * Build the program status
+   * @returns {ArrayBuffer} Status in the highest protocol version, see file header
+   */
+  getStatus() {
+    const status = new DataView(new ArrayBuffer(14 + 6 * OPENBLINK_SLOTS.count));
+    status.setUint8(0, OPENBLINK_PROTOCOL_VERSIONS[OPENBLINK_PROTOCOL_VERSIONS.length - 1]);
+    status.setUint8(1, 'S'.charCodeAt(0));
+    status.setUint32(2, this.receivedLength, true);
+    status.setUint8(6, this.result);
+    status.setUint32(8, OPENBLINK_SLOTS.size, true);
+    status.setUint8(12, this.bootSlot);
+    status.setUint8(13, OPENBLINK_SLOTS.count);
+    for (let i = 0; i < OPENBLINK_SLOTS.count; i++) {
+      const program = this.getSlot(OPENBLINK_SLOTS.first + i);
+      if (program) {
+        status.setUint32(14 + 6 * i, program.length, true);
+        status.setUint16(18 + 6 * i, crc16_reflect(OPENBLINK_CRC.poly, OPENBLINK_CRC.seed, program), true);
+      }
+    }
+    return status.buffer;
+  }
+
+  /**
+   * Describe the device
+   * @returns {Object} Device info, see file header
+   */
+  getInfo() {
+    let used = 0;
+    for (const program of this.slots.values()) {
+      used += program.length;
+    }
+    return {
+      firmware: SIMULATED_FIRMWARE_VERSION,
+      board: typeof this.options.getBoard === 'function' ? this.options.getBoard() : null,
+      protocols: OPENBLINK_PROTOCOL_VERSIONS,
+      slots: OPENBLINK_SLOTS.count,
+      capacity: OPENBLINK_SLOTS.size,
+      freeMemory: OPENBLINK_SLOTS.size * OPENBLINK_SLOTS.count - used
+    };
+  }
+
+  /**
+   * Write a characteristic
+   * @param {string} uuid - Characteristic UUID
+   * @param {Uint8Array} packet - Written value
+   * @throws {Error} If the characteristic cannot be written
+   */
+  write(uuid, packet) {
+    if (uuid !== OPENBLINK_UUIDS.program) {
+      throw new Error(`Characteristic ${uuid} is not writable`);
+    }
+    this.handlePacket(packet);
+  }
+
+  /**
+   * Handle a packet written to the program characteristic
+   * Protocol errors are reported on the console, as the firmware does.
+   * @param {Uint8Array} packet - See file header
+   */
+  handlePacket(packet) {
+    if (packet.length < 2 || !OPENBLINK_PROTOCOL_VERSIONS.includes(packet[0])) {
+      this.notifyConsole(`[OpenBlink] Unsupported packet version: ${packet[0]}\n`);
+      return;
+    }
+    const view = new DataView(packet.buffer, packet.byteOffset, packet.byteLength);
+    const command = String.fromCharCode(packet[1]);
+    switch (command) {
+      case 'D':
+        this.handleData(view, packet);
+        break;
+      case 'P':
+        this.handleProgram(view);
+        break;
+      case 'L':
+        if (packet[0] >= 0x02 && packet.length >= 3) {
+          if (this.isSlot(packet[2])) {
+            this.log(`Reload of slot ${packet[2]} requested`);
+            this.reload(packet[2]);
+          } else {
+            this.notifyConsole(`[OpenBlink] Invalid slot: ${packet[2]}\n`);
+          }
+          break;
+        }
+        this.log('Reload requested');
+        this.reload();
+        break;
+      case 'B':
+        this.handleBootSlot(packet);
+        break;
+      case 'R':
+        this.log('Soft reset requested');
+        if (typeof this.options.onReset === 'function') {
+          this.options.onReset();
+        }
+        this.reload();
+        break;
+      default:
+        this.notifyConsole(`[OpenBlink] Unknown command: ${command}\n`);
+    }
+  }
+
+  /**
+   * Handle a [D]ata packet
+   * @param {DataView} view - Packet view
+   * @param {Uint8Array} packet - Packet bytes
+   */
+  handleData(view, packet) {
+    const wide = packet[0] >= 0x02;
+    const headerSize = wide ? 8 : 6;
+    if (packet.length < headerSize) {
+      this.notifyConsole('[OpenBlink] Truncated data packet\n');
+      return;
+    }
+    const offset = wide ? view.getUint32(2, true) : view.getUint16(2, true);
+    const size = view.getUint16(headerSize - 2, true);
+    if (packet.length !== headerSize + size || offset + size > this.received.length) {
+      this.notifyConsole(`[OpenBlink] Invalid data packet: offset=${offset}, size=${size}\n`);
+      return;
+    }
+    if (offset === 0) {
+      // A transfer starts over at offset 0
+      this.receivedLength = 0;
+      this.result = OPENBLINK_PROGRAM_STATUS.receiving;
+    }
+    if (offset > this.receivedLength) {
+      // A packet was lost; the IDE resends from receivedLength
+      this.log(`Data gap: expected offset ${this.receivedLength}, got ${offset}`);
+      return;
+    }
+    this.received.set(packet.subarray(headerSize), offset);
+    this.receivedLength = Math.max(this.receivedLength, offset + size);
+  }
+
+  /**
+   * Handle a [P]rogram packet: check the received data and store it
+   * @param {DataView} view - Packet view
+   */
+  handleProgram(view) {
+    const wide = view.getUint8(0) >= 0x02;
+    const lengthSize = wide ? 4 : 2;
+    if (view.byteLength < 6 + lengthSize) {
+      this.notifyConsole('[OpenBlink] Truncated program packet\n');
+      return;
+    }
+    const length = wide ? view.getUint32(2, true) : view.getUint16(2, true);
+    const crc = view.getUint16(2 + lengthSize, true);
+    const slot = view.getUint8(4 + lengthSize);
+    if (!this.isSlot(slot)) {
+      this.result = OPENBLINK_PROGRAM_STATUS.slotError;
+      this.notifyConsole(`[OpenBlink] Invalid slot: ${slot}\n`);
+      return;
+    }
+    if (length === 0 || length > this.receivedLength) {
+      this.result = OPENBLINK_PROGRAM_STATUS.lengthError;
+      this.notifyConsole(`[OpenBlink] Program length ${length} does not match ` +
+        `${this.receivedLength} received bytes\n`);
+      return;
+    }
+    const program = this.received.slice(0, length);
+    const actual = crc16_reflect(OPENBLINK_CRC.poly, OPENBLINK_CRC.seed, program);
+    if (actual !== crc) {
+      this.result = OPENBLINK_PROGRAM_STATUS.crcError;
+      this.notifyConsole(`[OpenBlink] CRC mismatch: expected ${crc.toString(16)}, ` +
+        `got ${actual.toString(16)}\n`);
+      return;
+    }
+    this.slots.set(slot, program);
+    this.result = OPENBLINK_PROGRAM_STATUS.stored;
+    this.receivedLength = 0;
+    this.saveSlots();
+    this.log(`Stored ${length} bytes in slot ${slot}`);
+  }
+
+  /**
+   * Handle a [B]oot slot packet
+   * @param {Uint8Array} packet - Packet bytes
+   */
+  handleBootSlot(packet) {
+    if (packet[0] < 0x02 || packet.length < 3) {
+      this.notifyConsole('[OpenBlink] Truncated boot slot packet\n');
+      return;
+    }
+    const slot = packet[2];
+    if (!this.isSlot(slot)) {
+      this.notifyConsole(`[OpenBlink] Invalid slot: ${slot}\n`);
+      return;
+    }
+    this.bootSlot = slot;
+    this.saveSlots();
+    this.log(`Boot slot set to ${slot}`);
+  }
+
+  /**
+   * Check a slot number
+   * @param {number} slot - Slot number
+   * @returns {boolean} True if the device has this slot
+   */
+  isSlot(slot) {
+    return slot >= OPENBLINK_SLOTS.first && slot < OPENBLINK_SLOTS.first + OPENBLINK_SLOTS.count;
+  }
+
+  /**
+   * Run the program of a slot
+   * @param {number} [slot] - Slot number; the boot slot by default
+   */
+  reload(slot = this.bootSlot) {
+    const program = this.getSlot(slot);
+    if (!program) {
+      this.notifyConsole(`[OpenBlink] Slot ${slot} is empty\n`);
+      return;
+    }
+    if (typeof this.options.onReload === 'function') {
+      this.options.onReload(program, slot);
+    }
+  }
+
+  /**
+   * Get the program stored in a slot
+   * @param {number} slot - Slot number
+   * @returns {Uint8Array|null} Bytecode, or null for an empty slot
+   */
+  getSlot(slot) {
+    return this.slots.get(slot) || null;
+  }
+
+  /**
+   * Send VM output to the IDE as console notifications
+   * @param {string} text - Output text
+   */
+  notifyConsole(text) {
+    if (!this.client || !this.notifying) {
+      return;
+    }
+    const bytes = this.encoder.encode(text);
+    const chunkSize = SIMULATED_ATT_MTU - 3;
+    for (let start = 0; start < bytes.length;) {
+      let end = Math.min(start + chunkSize, bytes.length);
+      // Do not split UTF-8 sequences: back off to the start of a character
+      while (end < bytes.length && end > start + 1 && (bytes[end] & 0xc0) === 0x80) {
+        end--;
+      }
+      this.post({
+        type: 'notify',
+        client: this.client,
+        uuid: OPENBLINK_UUIDS.console,
+        value: bytes.slice(start, end).buffer
+      });
+      start = end;
+    }
+  }
+
+  /**
+   * Restore the slots and the boot slot saved by saveSlots
+   */
+  loadSlots() {
+    if (!this.options.storage) {
+      return;
+    }
+    try {
+      const saved = JSON.parse(this.options.storage.getItem(OPENBLINK_LINK_CHANNEL) || '{}');
+      for (const [slot, data] of Object.entries(saved)) {
+        if (slot === 'boot') {
+          this.bootSlot = this.isSlot(data) ? data : OPENBLINK_SLOTS.boot;
+        } else {
+          this.slots.set(Number(slot), Uint8Array.from(atob(data), c => c.charCodeAt(0)));
+        }
+      }
+    } catch (error) {
+      console.warn('OpenBlinkPeripheral: ignoring unreadable saved slots', error);
+    }
+  }
+
+  /**
+   * Save the slots and the boot slot to storage
+   */
+  saveSlots() {
+    if (!this.options.storage) {
+      return;
+    }
+    const saved = { boot: this.bootSlot };
+    for (const [slot, program] of this.slots) {
+      let binary = '';
+      for (let i = 0; i < program.length; i += 0x2000) {
+        binary += String.fromCharCode(...program.subarray(i, i + 0x2000));
+      }
+      saved[slot] = btoa(binary);
+    }
+    try {
+      this.options.storage.setItem(OPENBLINK_LINK_CHANNEL, JSON.stringify(saved));
+    } catch (error) {
+      console.warn('OpenBlinkPeripheral: cannot save slots', error);
+    }
+  }
+
+  /**
+   * Disconnect the IDE and stop listening
+   */
+  close() {
+    if (this.client) {
+      this.post({ type: 'disconnected', client: this.client });
+      this.client = null;
+    }
+    this.port.removeEventListener('message', this.onMessage);
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.OPENBLINK_LINK_CHANNEL = OPENBLINK_LINK_CHANNEL;
+  window.OPENBLINK_UUIDS = OPENBLINK_UUIDS;
+  window.OpenBlinkPeripheral = OpenBlinkPeripheral;
+}
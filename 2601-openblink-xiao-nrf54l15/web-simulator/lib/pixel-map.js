@@ -0,0 +1,68 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * Pixel Map - Maps LED indices to their physical positions on a matrix
+ * Boards describe how the LED chain is wired in their UI config:
+ *
+ *   wiring: {
+ *     start: 'top-right',   // corner of index 0: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right'
+ *     order: 'column',      // the chain runs along 'row's or 'column's
+ *     serpentine: false     // every other line runs backwards
+ *   }
+ *
+ * Without a wiring description indices run row by row from the top-left.
+ */
+
+/**
+ * Wiring used when a board does not describe one
+ * @type {{start: string, order: string, serpentine: boolean}}
+ */
+const DEFAULT_WIRING = { start: 'top-left', order: 'row', serpentine: false };
+
+/**
+ * Compute the position of every LED index
+ * @param {Object} ui - The board UI config (matrixWidth, matrixHeight, totalPixels, wiring)
+ * @returns {Array<{x: number, y: number}>} Column and row from the top-left, by index
+ * @throws {Error} If the wiring description is invalid
+ */
+function createPixelMap(ui) {
+  const wiring = { ...DEFAULT_WIRING, ...ui.wiring };
+  const [vertical, horizontal] = wiring.start.split('-');
+  if (!['top', 'bottom'].includes(vertical) || !['left', 'right'].includes(horizontal)) {
+    throw new Error(`Invalid wiring start: ${wiring.start}`);
+  }
+  if (!['row', 'column'].includes(wiring.order)) {
+    throw new Error(`Invalid wiring order: ${wiring.order}`);
+  }
+
+  const width = ui.matrixWidth;
+  const height = ui.matrixHeight;
+  const lineLength = wiring.order === 'column' ? height : width;
+  const map = [];
+  for (let index = 0; index < ui.totalPixels; index++) {
+    const line = Math.floor(index / lineLength);
+    let position = index % lineLength;
+    if (wiring.serpentine && line % 2 === 1) {
+      position = lineLength - 1 - position;
+    }
+
+    let x = wiring.order === 'column' ? line : position;
+    let y = wiring.order === 'column' ? position : line;
+    if (horizontal === 'right') {
+      x = width - 1 - x;
+    }
+    if (vertical === 'bottom') {
+      y = height - 1 - y;
+    }
+    map.push({ x: x, y: y });
+  }
+  return map;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.createPixelMap = createPixelMap;
+}
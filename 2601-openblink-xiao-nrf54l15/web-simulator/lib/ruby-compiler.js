@@ -0,0 +1,147 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * Ruby Compiler - Compiles Ruby source to mruby/c bytecode in the browser
+ * Wraps the mrbc WASM compiler shipped with the WebIDE. mrbc.js is an
+ * Emscripten build that configures itself from the global `Module` object,
+ * so it is loaded lazily with its stdout/stderr routed to this class.
+ */
+
+class RubyCompiler {
+  /**
+   * @param {string} scriptPath - Path to mrbc.js (mrbc.wasm is expected next to it)
+   */
+  constructor(scriptPath) {
+    this.scriptPath = scriptPath;
+    this.module = null;
+    this.loadingPromise = null;
+    this.messages = [];
+  }
+
+  /**
+   * Load the mrbc compiler
+   * @returns {Promise<Object>} Resolves with the Emscripten module when ready
+   */
+  load() {
+    if (this.loadingPromise) {
+      return this.loadingPromise;
+    }
+
+    this.loadingPromise = new Promise((resolve, reject) => {
+      const capture = (text) => {
+        this.messages.push(text);
+      };
+      window.Module = {
+        print: capture,
+        printErr: capture,
+        onRuntimeInitialized: () => {
+          this.module = window.Module;
+          resolve(this.module);
+        }
+      };
+
+      const script = document.createElement('script');
+      script.src = this.scriptPath;
+      script.onerror = () => {
+        this.loadingPromise = null;
+        reject(new Error(`Failed to load script: ${this.scriptPath}`));
+      };
+      document.head.appendChild(script);
+    });
+    return this.loadingPromise;
+  }
+
+  /**
+   * Check if the compiler is ready
+   * @returns {boolean} True if loaded
+   */
+  isLoaded() {
+    return this.module !== null;
+  }
+
+  /**
+   * Compile Ruby source to bytecode
+   * @param {string} source - Ruby source code
+   * @param {string} [fileName] - Source file name used in error messages
+   * @returns {{success: boolean, bytecode: Uint8Array|null, errors: Array<{line: number, column: number, message: string}>, messages: string[], time: number}}
+   *   Compilation result; errors are parsed from the compiler output
+   */
+  compile(source, fileName) {
+    if (!this.module) {
+      throw new Error('mrbc compiler is not loaded');
+    }
+
+    const sourceFileName = fileName || 'main.rb';
+    const outputFileName = sourceFileName.replace(/\.rb$/, '') + '.mrb';
+    const module = this.module;
+    this.messages = [];
+
+    module.FS.writeFile(sourceFileName, source);
+
+    const args = ['mrbc', '-o', outputFileName, sourceFileName];
+    const argv = module._malloc(args.length * 4);
+    // Arguments are ASCII file names, so the byte length equals arg.length
+    const argPointers = args.map((arg) => {
+      const ptr = module._malloc(arg.length + 1);
+      module.stringToUTF8(arg, ptr, arg.length + 1);
+      return ptr;
+    });
+    argPointers.forEach((ptr, i) => {
+      module.setValue(argv + i * 4, ptr, 'i32');
+    });
+
+    let result = -1;
+    const start = performance.now();
+    try {
+      result = module._main(args.length, argv);
+    } finally {
+      argPointers.forEach((ptr) => module._free(ptr));
+      module._free(argv);
+    }
+    const time = performance.now() - start;
+
+    let bytecode = null;
+    if (result === 0) {
+      bytecode = new Uint8Array(module.FS.readFile(outputFileName));
+      module.FS.unlink(outputFileName);
+    }
+
+    return {
+      success: result === 0,
+      bytecode: bytecode,
+      errors: this.parseErrors(this.messages, sourceFileName),
+      messages: [...this.messages],
+      time: time
+    };
+  }
+
+  /**
+   * Extract line-numbered errors from compiler output
+   * mrbc reports errors as "<file>:<line>:<column>: <message>"
+   * @param {string[]} messages - Lines printed by the compiler
+   * @param {string} sourceFileName - Name of the compiled file
+   * @returns {Array<{line: number, column: number, message: string}>} Parsed errors
+   */
+  parseErrors(messages, sourceFileName) {
+    const errors = [];
+    for (const text of messages) {
+      const match = text.match(/^(.+?):(\d+):(\d+): (.*)$/);
+      if (match && match[1] === sourceFileName) {
+        errors.push({
+          line: parseInt(match[2], 10),
+          column: parseInt(match[3], 10),
+          message: match[4]
+        });
+      }
+    }
+    return errors;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.RubyCompiler = RubyCompiler;
+}
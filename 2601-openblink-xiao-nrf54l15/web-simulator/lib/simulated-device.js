@@ -0,0 +1,196 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * Simulated Device - One simulated board with its own WASM instance and VM
+ * Bundles a VMController, a BoardLoader showing the board in a container and
+ * an ApiRegistrar, so several devices can run side by side on one page.
+ * Devices share nothing but the compiled WASM code and the board modules,
+ * which keep no state of their own.
+ */
+
+class SimulatedDevice {
+  /**
+   * @param {Object} options - Device options
+   * @param {HTMLElement} options.container - Container for the board UI
+   * @param {string} [options.wasmPath] - URL of mrubyc.wasm
+   * @param {BoardLoader} [options.boardLoader] - Loader showing the board; a new one by default
+   * @param {function(string): void} [options.onOutput] - Receives console output of the VM
+   * @param {function(string): void} [options.onError] - Receives error output of the VM
+   * @param {function(number): void} [options.onPause] - Called with the virtual time when the VM is held
+   * @param {function(Array<number[]>): void} [options.onPixelsUpdate] - Called on every PIXELS.update
+   */
+  constructor(options) {
+    this.options = options;
+    this.container = options.container;
+    this.boardLoader = options.boardLoader || new BoardLoader();
+    this.apiRegistrar = new ApiRegistrar();
+    this.controller = new VMController({
+      wasmPath: options.wasmPath || 'mrubyc/mrubyc.wasm',
+      onOutput: options.onOutput,
+      onError: options.onError,
+      onPause: options.onPause,
+      // Define the board APIs after bytecode is loaded so symbol IDs match
+      onTaskCreated: (module) => {
+        if (module === this.module && this.boardLoader.getBoardAPI()) {
+          this.apiRegistrar.register(module, this.boardLoader.getBoardAPI());
+        }
+      }
+    });
+    this.module = null;
+    this.current = null;
+    this.disposed = false;
+  }
+
+  /**
+   * Create the WASM instance
+   * @returns {Promise<Object>} The initialized mruby/c WASM module instance
+   */
+  async init() {
+    this.module = await this.controller.createModule();
+    return this.module;
+  }
+
+  /**
+   * Show a registered board
+   * @param {string} boardId - The board ID
+   * @returns {Promise<boolean>} True if the board was loaded; see BoardLoader#getLastError otherwise
+   */
+  selectBoard(boardId) {
+    return this.boardLoader.switchBoard(boardId, this.container, {
+      onPixelsUpdate: (pixels) => {
+        if (typeof this.options.onPixelsUpdate === 'function') {
+          this.options.onPixelsUpdate(pixels);
+        }
+      }
+    });
+  }
+
+  /**
+   * Remove the board UI
+   */
+  clearBoard() {
+    this.boardLoader.cleanupBoard(this.container);
+  }
+
+  /**
+   * Run bytecode until it ends or is stopped
+   * A stopped VM stays suspended in its module, so the device continues on a
+   * new one and clears the matrix.
+   * @param {Uint8Array} bytecode - Compiled mruby/c bytecode (.mrb)
+   * @returns {Promise<{stopped: boolean, result: number|null}>} Outcome of the run
+   * @throws {Error} If the device is not ready or busy
+   */
+  run(bytecode) {
+    if (!this.module || this.current) {
+      return Promise.reject(new Error('Device is not ready'));
+    }
+    const current = this.execute(bytecode);
+    this.current = current;
+    const clear = () => {
+      this.current = null;
+    };
+    current.then(clear, clear);
+    return current;
+  }
+
+  /**
+   * Run bytecode on the current module
+   * @param {Uint8Array} bytecode - Compiled mruby/c bytecode (.mrb)
+   * @returns {Promise<{stopped: boolean, result: number|null}>} Outcome of the run
+   */
+  async execute(bytecode) {
+    // The bytecode buffer belongs to this module even if a stop replaces it
+    const module = this.module;
+    const bytecodePtr = module._malloc(bytecode.length);
+    if (!bytecodePtr) {
+      throw new Error('Memory allocation failed in WebAssembly module.');
+    }
+    let outcome;
+    try {
+      new Uint8Array(module.wasmMemory.buffer).set(bytecode, bytecodePtr);
+      outcome = await this.controller.run(bytecodePtr, bytecode.length);
+    } finally {
+      module._free(bytecodePtr);
+    }
+    if (this.disposed) {
+      this.apiRegistrar.cleanup(module);
+      this.module = null;
+    } else if (outcome.stopped) {
+      await this.restart();
+    }
+    return outcome;
+  }
+
+  /**
+   * Continue on a new WASM instance
+   * @returns {Promise<void>} Resolves when the new instance is ready
+   */
+  async restart() {
+    this.apiRegistrar.cleanup(this.module);
+    this.module = await this.controller.createModule();
+    const ui = this.boardLoader.getBoardUI();
+    if (ui) {
+      ui.resetPixels();
+    }
+  }
+
+  /**
+   * Request the running program to stop at its next yield
+   */
+  stop() {
+    this.controller.stop();
+  }
+
+  /**
+   * Stop the running program, if any, and wait until the device is ready again
+   * @returns {Promise<void>} Resolves when a new program can run
+   */
+  async halt() {
+    const current = this.current;
+    if (current) {
+      this.stop();
+      await current.catch(() => {});
+    }
+  }
+
+  /**
+   * Check if a program is running
+   * @returns {boolean} True while run() is in progress
+   */
+  isRunning() {
+    return this.current !== null;
+  }
+
+  /**
+   * Print the memory statistics of the VM to its console
+   */
+  printStatistics() {
+    if (this.module) {
+      this.controller.enter(() => this.module._mrbc_wasm_print_statistics());
+    }
+  }
+
+  /**
+   * Stop the program and remove the board UI
+   * A running program keeps its callbacks until it reaches its next yield;
+   * run() releases them then. The WASM instance is left to the garbage collector.
+   */
+  dispose() {
+    this.disposed = true;
+    if (this.isRunning()) {
+      this.stop();
+    } else if (this.module) {
+      this.apiRegistrar.cleanup(this.module);
+      this.module = null;
+    }
+    this.clearBoard();
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.SimulatedDevice = SimulatedDevice;
+}
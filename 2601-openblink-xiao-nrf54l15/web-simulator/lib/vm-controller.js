@@ -0,0 +1,441 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * VM Controller - Creates mruby/c WASM modules whose execution can be stopped
+ * The VM yields to the browser through the asynchronous emscripten_sleep
+ * import (ASYNCIFY), which schedules its wake-up with setTimeout. The
+ * controller wraps that import and takes over the wake-up, so a stop request
+ * parks the VM at its next yield instead of resuming it. A parked module
+ * keeps its suspended stack and cannot run again; create a new one instead.
+ *
+ * The VM clock is virtual: every emscripten_sleep(ms) advances it by ms,
+ * however long the wake-up takes. The controller paces wake-ups against
+ * real time multiplied by the time scale, waking the VM synchronously while
+ * it lags behind (up to MAX_SLICE_MS per browser task), holds the wake-up
+ * while paused and releases a number of ticks when single-stepping.
+ * With realtime disabled the clock is free-running: every sleep completes
+ * at once, which makes runs deterministic (used by the headless runner).
+ *
+ * The mruby/c module reports console output and task creation through the
+ * window.mrubycOutput, mrubycError and mrubycOnTaskCreated hooks shared by
+ * all instances. Only one VM executes at a time, so the hooks are routed to
+ * the callbacks of the controller whose VM entered WASM last.
+ */
+
+/**
+ * Longest time the VM runs without yielding to the browser, in milliseconds
+ * @type {number}
+ */
+const MAX_SLICE_MS = 10;
+
+/**
+ * Supported range of the time scale
+ * @type {{min: number, max: number}}
+ */
+const TIME_SCALE_RANGE = { min: 0.1, max: 10 };
+
+/**
+ * Controller whose VM is executing or executed last
+ * @type {VMController|null}
+ */
+let activeController = null;
+
+class VMController {
+  /**
+   * @param {Object} options - WASM source and callbacks
+   * @param {string} [options.wasmPath] - URL of mrubyc.wasm
+   * @param {ArrayBuffer|Uint8Array} [options.wasmBinary] - mrubyc.wasm contents, used instead of wasmPath
+   * @param {function(number): void} [options.onPause] - Called with the virtual time when the VM is held
+   * @param {boolean} [options.realtime=true] - Pace the virtual clock against real time
+   * @param {function(string): void} [options.onOutput] - Receives console output of the VM
+   * @param {function(string): void} [options.onError] - Receives error output of the VM
+   * @param {function(Object): void} [options.onTaskCreated] - Called with the module after
+   *   bytecode is loaded but before it runs, the time to register board APIs
+   */
+  constructor(options) {
+    this.options = options || {};
+    this.wasmModule = null;
+    this.module = null;
+    this.generation = 0;
+    this.running = false;
+    this.stopRequested = false;
+    this.resolveStopped = null;
+
+    // Virtual clock
+    this.timeScale = 1;
+    this.paused = false;
+    this.stepRemaining = 0;
+    this.pendingWakeUp = null;
+    this.virtualTime = 0;
+    this.clockAnchor = { real: 0, virtual: 0 };
+    this.sliceStart = 0;
+    this.timeLimit = null;
+    this.realtime = this.options.realtime !== false;
+    this.onPause = this.options.onPause || null;
+
+    // The sleep import replaces setTimeout while it runs
+    this.setTimer = globalThis.setTimeout.bind(globalThis);
+  }
+
+  /**
+   * Compile mrubyc.wasm once; instances share the compiled module
+   * @returns {Promise<WebAssembly.Module>} Compiled module
+   */
+  async compileWasm() {
+    if (!this.wasmModule) {
+      let binary = this.options.wasmBinary;
+      if (!binary) {
+        const response = await fetch(this.options.wasmPath, { credentials: 'same-origin' });
+        if (!response.ok) {
+          throw new Error(`Failed to load ${this.options.wasmPath}: ${response.status}`);
+        }
+        binary = await response.arrayBuffer();
+      }
+      this.wasmModule = await WebAssembly.compile(binary);
+    }
+    return this.wasmModule;
+  }
+
+  /**
+   * Create and initialize a new mruby/c module
+   * The new module becomes the current one; earlier modules no longer resume.
+   * @returns {Promise<Object>} The initialized mruby/c WASM module instance
+   */
+  async createModule() {
+    const wasmModule = await this.compileWasm();
+    const generation = ++this.generation;
+
+    const module = await new Promise((resolve, reject) => {
+      createMrubycModule({
+        instantiateWasm: (info, receiveInstance) => {
+          WebAssembly.instantiate(wasmModule, this.wrapImports(info, generation))
+            .then(instance => receiveInstance(instance), reject);
+          return {};
+        }
+      }).then(resolve, reject);
+    });
+
+    module._mrbc_wasm_init();
+    this.module = module;
+    return module;
+  }
+
+  /**
+   * Replace the asynchronous sleep import with a controlled one
+   * Import names are minified, but Emscripten marks async imports with isAsync.
+   * @param {Object} info - Import object passed to instantiateWasm
+   * @param {number} generation - Generation of the module being created
+   * @returns {Object} Import object with the sleep import wrapped
+   */
+  wrapImports(info, generation) {
+    const imports = {};
+    for (const [namespace, functions] of Object.entries(info)) {
+      imports[namespace] = { ...functions };
+      for (const [name, func] of Object.entries(functions)) {
+        if (typeof func === 'function' && func.isAsync) {
+          imports[namespace][name] = (ms) => this.sleep(generation, func, ms);
+        }
+      }
+    }
+    return imports;
+  }
+
+  /**
+   * Controlled emscripten_sleep
+   * The original import is called with setTimeout replaced, so the wake-up
+   * callback is handed to the controller instead of the timer queue. Calling
+   * it before the import returns continues the VM without unwinding. When
+   * the VM rewinds after waking up, the import is called again and does not
+   * schedule anything.
+   * @param {number} generation - Generation of the calling module
+   * @param {Function} sleep - Original import
+   * @param {number} ms - Requested sleep time in milliseconds
+   * @returns {*} Return value of the original import
+   */
+  sleep(generation, sleep, ms) {
+    const setTimeout = globalThis.setTimeout;
+    globalThis.setTimeout = (callback) => {
+      this.schedule(generation, callback, ms);
+      return 0;
+    };
+    try {
+      return sleep(ms);
+    } finally {
+      globalThis.setTimeout = setTimeout;
+    }
+  }
+
+  /**
+   * Decide how a sleeping VM is resumed
+   * @param {number} generation - Generation of the sleeping module
+   * @param {Function} wakeUp - Resumes the VM
+   * @param {number} ms - Requested sleep time in milliseconds
+   */
+  schedule(generation, wakeUp, ms) {
+    if (generation !== this.generation) {
+      // Replaced module: leave it parked
+      return;
+    }
+    if (this.stopRequested ||
+        (this.timeLimit !== null && this.virtualTime + ms > this.timeLimit)) {
+      this.park();
+      return;
+    }
+    if (this.paused && this.stepRemaining <= 0) {
+      this.pendingWakeUp = { wakeUp: wakeUp, ms: ms };
+      if (this.onPause) {
+        this.onPause(this.virtualTime);
+      }
+      return;
+    }
+    this.advance(wakeUp, ms);
+  }
+
+  /**
+   * Advance the virtual clock and wake the VM when real time catches up
+   * @param {Function} wakeUp - Resumes the VM
+   * @param {number} ms - Virtual time consumed by the sleep
+   */
+  advance(wakeUp, ms) {
+    const now = performance.now();
+    this.virtualTime += ms;
+    if (!this.realtime) {
+      this.enter(wakeUp);
+      return;
+    }
+
+    let delay = 0;
+    if (this.stepRemaining > 0) {
+      // Single-stepping runs as fast as possible
+      this.stepRemaining -= ms;
+    } else {
+      const target = this.clockAnchor.virtual + (now - this.clockAnchor.real) * this.timeScale;
+      delay = (this.virtualTime - target) / this.timeScale;
+    }
+
+    if (delay <= 0 && now - this.sliceStart < MAX_SLICE_MS) {
+      this.enter(wakeUp);
+      return;
+    }
+    this.setTimer(() => {
+      this.sliceStart = performance.now();
+      this.enter(wakeUp);
+    }, Math.max(delay, 0));
+  }
+
+  /**
+   * Run WASM code of this controller's VM, routing the module hooks to it
+   * @param {Function} enterWasm - Starts or resumes the VM
+   * @returns {*} Return value of enterWasm
+   */
+  enter(enterWasm) {
+    activeController = this;
+    return enterWasm();
+  }
+
+  /**
+   * Call a callback of the controller whose VM is executing
+   * @param {string} name - Option name, e.g. 'onOutput'
+   * @param {*} arg - Argument passed to the callback
+   * @returns {boolean} True if the callback exists and was called
+   */
+  static dispatch(name, arg) {
+    const callback = activeController && activeController.options[name];
+    if (typeof callback !== 'function') {
+      return false;
+    }
+    callback(arg);
+    return true;
+  }
+
+  /**
+   * Restart real-time pacing from the current virtual time
+   */
+  reanchorClock() {
+    this.clockAnchor = { real: performance.now(), virtual: this.virtualTime };
+  }
+
+  /**
+   * Resume a VM held by pause or at the end of a step
+   */
+  releasePending() {
+    const pending = this.pendingWakeUp;
+    this.pendingWakeUp = null;
+    if (pending) {
+      this.sliceStart = performance.now();
+      this.advance(pending.wakeUp, pending.ms);
+    }
+  }
+
+  /**
+   * Leave the VM suspended and report the stop to run()
+   */
+  park() {
+    this.stopRequested = false;
+    this.pendingWakeUp = null;
+    this.module = null;
+    if (this.resolveStopped) {
+      this.resolveStopped();
+      this.resolveStopped = null;
+    }
+  }
+
+  /**
+   * Run loaded bytecode on the current module until it ends or is stopped
+   * @param {number} bytecodePtr - Pointer to the bytecode in WASM memory
+   * @param {number} length - Bytecode length in bytes
+   * @param {number} [timeLimit] - Stop once the VM clock would pass this many milliseconds
+   * @returns {Promise<{stopped: boolean, result: number|null}>} Outcome of the run;
+   *   stopped is true after stop() or when the time limit was reached
+   */
+  async run(bytecodePtr, length, timeLimit) {
+    if (!this.module || this.running) {
+      throw new Error('VM is not ready');
+    }
+
+    this.running = true;
+    this.stopRequested = false;
+    this.paused = false;
+    this.stepRemaining = 0;
+    this.pendingWakeUp = null;
+    this.virtualTime = 0;
+    this.timeLimit = timeLimit === undefined ? null : timeLimit;
+    this.reanchorClock();
+    this.sliceStart = performance.now();
+    const stopped = new Promise((resolve) => {
+      this.resolveStopped = resolve;
+    });
+
+    try {
+      // Use ccall with async: true to properly handle ASYNCIFY
+      // This ensures that emscripten_sleep calls are properly awaited
+      const module = this.module;
+      const finished = this.enter(() => module.ccall(
+        'mrbc_wasm_run',
+        'number',
+        ['number', 'number'],
+        [bytecodePtr, length],
+        { async: true }
+      ));
+      return await Promise.race([
+        finished.then(result => ({ stopped: false, result: result })),
+        stopped.then(() => ({ stopped: true, result: null }))
+      ]);
+    } finally {
+      this.running = false;
+      this.stopRequested = false;
+      this.resolveStopped = null;
+      this.paused = false;
+      this.stepRemaining = 0;
+      this.pendingWakeUp = null;
+      this.timeLimit = null;
+    }
+  }
+
+  /**
+   * Request the running program to stop at its next yield
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+    if (this.pendingWakeUp) {
+      // Already held at a yield
+      this.park();
+      return;
+    }
+    this.stopRequested = true;
+  }
+
+  /**
+   * Hold the VM at its next yield
+   */
+  pause() {
+    if (this.running) {
+      this.paused = true;
+      this.stepRemaining = 0;
+    }
+  }
+
+  /**
+   * Continue a paused VM in real time
+   */
+  resume() {
+    if (!this.paused) {
+      return;
+    }
+    this.paused = false;
+    this.stepRemaining = 0;
+    this.reanchorClock();
+    this.releasePending();
+  }
+
+  /**
+   * Run a paused VM for a number of ticks, then hold it again
+   * @param {number} ticks - Virtual milliseconds to advance
+   */
+  step(ticks) {
+    if (!this.paused || ticks <= 0) {
+      return;
+    }
+    this.stepRemaining = ticks;
+    this.releasePending();
+  }
+
+  /**
+   * Set the speed of the virtual clock relative to real time
+   * @param {number} scale - Time scale, clamped to TIME_SCALE_RANGE
+   */
+  setTimeScale(scale) {
+    this.timeScale = Math.min(Math.max(scale, TIME_SCALE_RANGE.min), TIME_SCALE_RANGE.max);
+    this.reanchorClock();
+  }
+
+  /**
+   * Get the time elapsed on the VM clock since the program started
+   * @returns {number} Virtual time in milliseconds
+   */
+  getVirtualTime() {
+    return this.virtualTime;
+  }
+
+  /**
+   * Check if the VM is paused
+   * @returns {boolean} True after pause() until resume()
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Check if a program is running
+   * @returns {boolean} True while run() is in progress
+   */
+  isRunning() {
+    return this.running;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.VMController = VMController;
+
+  window.mrubycOutput = (text) => {
+    if (!VMController.dispatch('onOutput', text)) {
+      console.log(text);
+    }
+  };
+  window.mrubycError = (text) => {
+    if (!VMController.dispatch('onError', text)) {
+      console.error(text);
+    }
+  };
+  window.mrubycOnTaskCreated = () => {
+    if (activeController) {
+      VMController.dispatch('onTaskCreated', activeController.module);
+    }
+  };
+}
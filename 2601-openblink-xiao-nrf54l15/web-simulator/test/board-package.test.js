@@ -0,0 +1,134 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * Board package tests
+ * Checks manifest validation for both format versions and the wrapping of
+ * formatVersion 1 globals as a board module.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Load lib/board-package.js the way pages do, with a window to export to
+ * @returns {Object} The context's global object
+ */
+function loadBoardPackage() {
+  const context = { URL: URL, TextDecoder: TextDecoder };
+  context.window = context;
+  vm.createContext(context);
+  const filename = path.join(__dirname, '..', 'lib/board-package.js');
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+  return context;
+}
+
+const CLASSIC_MANIFEST = {
+  formatVersion: 1,
+  id: 'xiao-nrf54l15',
+  name: 'XIAO nRF54L15',
+  version: '1.0.0',
+  scripts: {
+    config: 'board-config.js',
+    ui: 'ui-components.js',
+    api: 'api-definitions.js'
+  },
+  styles: ['board.css']
+};
+
+test('the manifest of the bundled board is valid', () => {
+  const context = loadBoardPackage();
+  const manifest = JSON.parse(fs.readFileSync(
+    path.join(__dirname, '..', 'boards/xiao-nrf54l15/board.json'), 'utf8'));
+
+  assert.deepEqual([...context.validateBoardManifest(manifest)], []);
+  assert.deepEqual([...context.listBoardPackageFiles(manifest)], ['board.js']);
+});
+
+test('package URLs from other origins are refused unless allow-listed', () => {
+  const context = loadBoardPackage();
+  const page = 'https://sim.example.com/web-simulator/index.html?boardPackage=x';
+
+  assert.equal(context.isTrustedPackageUrl('boards/mine/board.json', page), true);
+  assert.equal(context.isTrustedPackageUrl('https://sim.example.com/other/pkg.zip', page), true);
+  assert.equal(context.isTrustedPackageUrl('https://evil.example.net/pkg.zip', page), false);
+  assert.equal(context.isTrustedPackageUrl('//evil.example.net/board.json', page), false);
+  assert.equal(context.isTrustedPackageUrl('http://sim.example.com/board.json', page), false);
+  assert.equal(context.isTrustedPackageUrl('data:application/json,{}', page), false);
+  assert.equal(context.isTrustedPackageUrl('https://boards.example.org/pkg.zip', page,
+    ['https://boards.example.org']), true);
+  assert.equal(context.isTrustedPackageUrl('board.json', 'file:///sim/index.html'), false);
+});
+
+test('formatVersion 1 manifests list scripts instead of a module', () => {
+  const context = loadBoardPackage();
+
+  assert.deepEqual([...context.validateBoardManifest(CLASSIC_MANIFEST)], []);
+  assert.deepEqual([...context.listBoardPackageFiles(CLASSIC_MANIFEST)],
+    ['board-config.js', 'ui-components.js', 'api-definitions.js', 'board.css']);
+  assert.deepEqual([...context.validateBoardManifest({ ...CLASSIC_MANIFEST, scripts: { config: 'a.js' } })], [
+    'scripts.ui must be a relative path inside the package',
+    'scripts.api must be a relative path inside the package'
+  ]);
+  assert.deepEqual([...context.validateBoardManifest({ ...CLASSIC_MANIFEST, module: 'board.js' })],
+    ['module is not a known manifest field']);
+  assert.equal(context.validateBoardManifest({ ...CLASSIC_MANIFEST, formatVersion: 3 })[0],
+    'formatVersion 3 is not supported (supported: 1, 2)');
+});
+
+test('formatVersion 1 globals drive the UI given to defineAPI', () => {
+  const context = loadBoardPackage();
+  // What the scripts of a version 1 package export
+  const scope = {
+    BOARD_CONFIG: { id: 'classic', ui: {} },
+    BOARD_API: [{
+      className: 'Pixels',
+      methods: [{ name: 'set', handler: (index) => scope.setPixelColor(index, 1, 2, 3) }]
+    }],
+    createBoardUI: () => {},
+    setPixelColor: () => assert.fail('the UI given to defineAPI is driven')
+  };
+  const board = context.adaptClassicBoard(scope);
+  assert.deepEqual([...context.validateBoardModule(board)], []);
+  assert.equal(board.config, scope.BOARD_CONFIG);
+
+  const calls = [];
+  const ui = { setPixelColor: (...args) => calls.push(args) };
+  const api = board.defineAPI(ui);
+  assert.equal(api, scope.BOARD_API);
+  api[0].methods[0].handler(5);
+  assert.deepEqual(calls, [[5, 1, 2, 3]]);
+});
+
+test('formatVersion 1 UIs get the host callbacks and assets', () => {
+  const context = loadBoardPackage();
+  const created = [];
+  const cleaned = [];
+  const scope = {
+    BOARD_CONFIG: { id: 'classic', ui: {} },
+    BOARD_API: [],
+    createBoardUI: (container, config) => created.push([container, config.assets]),
+    cleanupBoardUI: (container) => cleaned.push(container),
+    resetPixels: (config) => created.push(['reset', config.id])
+  };
+  const board = context.adaptClassicBoard(scope);
+  const onPixelsUpdate = () => {};
+  const container = {};
+  const ui = board.createUI(container, { assets: { 'pcb.png': 'blob:pcb' }, onPixelsUpdate: onPixelsUpdate });
+
+  assert.equal(scope.onPixelsUpdate, onPixelsUpdate);
+  ui.resetPixels();
+  assert.deepEqual(created, [[container, { 'pcb.png': 'blob:pcb' }], ['reset', 'classic']]);
+  assert.equal(scope.BOARD_CONFIG.assets, undefined);
+
+  board.dispose(ui);
+  assert.deepEqual(cleaned, [container]);
+  assert.equal(scope.onPixelsUpdate, undefined);
+});
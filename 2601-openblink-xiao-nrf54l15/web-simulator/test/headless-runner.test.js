@@ -0,0 +1,67 @@
+/*
+ * SPDX-License-Identifier: BSD-3-Clause
+ * SPDX-FileCopyrightText: Copyright (c) 2026 YAMASHIRO Yoshihiro All Rights Reserved.
+ */
+
+/**
+ * Headless runner tests
+ * Runs the simulator's sample program, which blinks LED1 and redraws the
+ * matrix every 31 ms of VM time. Run with: node --test web-simulator/test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const vm = require('node:vm');
+const { runBytecode } = require('../headless/headless-runner');
+
+const SIMULATOR_DIR = path.join(__dirname, '..');
+
+// sample_bytecode.js is a browser script declaring SAMPLE_BYTECODE
+const SAMPLE_BYTECODE = Uint8Array.from(vm.runInNewContext(
+  fs.readFileSync(path.join(SIMULATOR_DIR, 'sample_bytecode.js'), 'utf8') + ';SAMPLE_BYTECODE'
+));
+
+test('the sample program draws 17 frames in 500 ms of VM time', async () => {
+  const run = await runBytecode(SAMPLE_BYTECODE, { timeLimit: 500 });
+
+  assert.equal(run.result, null);
+  assert.equal(run.timedOut, true);
+  assert.equal(run.time, 500);
+  assert.equal(run.output, 'Hello Ruby\n');
+  assert.equal(run.errors, '');
+  assert.deepEqual(run.warnings, []);
+  assert.deepEqual(run.frames.map((frame) => frame.time),
+    [0, 31, 62, 93, 124, 155, 186, 217, 248, 279, 310, 341, 372, 403, 434, 465, 496]);
+  assert.deepEqual(run.pixels, run.frames[run.frames.length - 1].pixels);
+});
+
+test('runs of the same program are identical', async () => {
+  const first = await runBytecode(SAMPLE_BYTECODE, { timeLimit: 500 });
+  const second = await runBytecode(SAMPLE_BYTECODE, { timeLimit: 500 });
+
+  assert.deepEqual(second, first);
+});
+
+test('the CLI writes the same result as JSON', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openblink-headless-'));
+  try {
+    const file = path.join(dir, 'sample.mrb');
+    fs.writeFileSync(file, SAMPLE_BYTECODE);
+    const stdout = execFileSync(process.execPath,
+      [path.join(SIMULATOR_DIR, 'headless/cli.js'), '--time', '500', '--json', '-', file],
+      { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 60000 });
+    const result = JSON.parse(stdout);
+
+    assert.equal(result.timedOut, true);
+    assert.equal(result.frames.length, 17);
+    assert.equal(result.output, 'Hello Ruby\n');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});